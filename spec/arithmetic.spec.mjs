@@ -0,0 +1,180 @@
+import {
+    createParser,
+    format,
+    parse,
+    DivisionByZeroError,
+    InvalidChunkError,
+    TooManyChunksError,
+    TooManyDiceError,
+} from '../src/fdice.js';
+import { distribution } from '../src/distribution.js';
+import random, { sequence } from '../src/random.js';
+
+describe('Arithmetic', () => {
+    describe('operator', () => {
+        [
+            ['5/2', 2], ['5*2', 10], ['d6+5/2', 6], ['2*d6+1', 9], ['-2*d20', -8], ['-2/d20', -1],
+            ['2d20/2', 4], ['2d20*2', 16],
+        ].forEach(([expr, expected]) => {
+            it(`evaluates correctly: ${expr}`, () => {
+                spyOn(random, 'die').and.returnValue(4);
+                expect(parse(expr)()).toBe(expected);
+            });
+        });
+    });
+
+    describe('precedence', () => {
+        [
+            ['2+3*4', 14], ['2*3+4', 10], ['10-4-3', 3], ['24/4/3', 2], ['2*3*4', 24], ['10-2*3', 4],
+            ['(2+3)*4', 20], ['2*(3+4)', 14], ['(10-4)-3', 3], ['10-(4-3)', 9], ['((2))', 2], ['-(2+3)*2', -10],
+            ['2*-3', -6], ['-2*-3', 6], ['(-2)', -2], ['6/-4', -2],
+        ].forEach(([expr, expected]) => {
+            it(`is respected: ${expr}`, () => {
+                expect(parse(expr)()).toBe(expected);
+            });
+        });
+    });
+
+    it('supports crits', () => {
+        spyOn(random, 'die').withArgs(6).and.returnValues(2, 5);
+        expect(parse('(2d6+3)*2')()).toBe(20);
+    });
+
+    it('ignores whitespace', () => {
+        expect(parse(' ( 1 + 2 ) * f l o o r ( 7 / 2 ) ')()).toBe(9);
+    });
+
+    describe('division', () => {
+        it('rounds down by default', () => {
+            expect(parse('7/2')()).toBe(3);
+            expect(parse('-7/2')()).toBe(-4);
+        });
+
+        it('can round up or to the nearest', () => {
+            expect(createParser({ rounding: 'ceil' }).parse('7/2')()).toBe(4);
+            expect(createParser({ rounding: 'round' }).parse('7/3')()).toBe(2);
+            expect(() => createParser({ rounding: 'up' })).toThrowError(TypeError);
+        });
+
+        it('can be rounded by a function', () => {
+            expect(parse('floor(7/2)')()).toBe(3);
+            expect(parse('ceil(7/2)')()).toBe(4);
+            expect(parse('round(7/2)')()).toBe(4);
+            expect(parse('round(7/3)')()).toBe(2);
+            expect(parse('2*ceil(7/2)')()).toBe(8);
+        });
+
+        it('is exact inside a rounding function', () => {
+            // 1/2 + 1/2 is 1, but would be 0 if each half were rounded down.
+            expect(parse('ceil(1/2+1/2)')()).toBe(1);
+            expect(parse('floor(1/2+1/2)')()).toBe(1);
+            expect(parse('floor(3d6/2)', { rng: { die: () => 3 } })()).toBe(4);
+        });
+
+        it('refuses to divide by zero', () => {
+            expect(parse('5/0')).toThrowError(DivisionByZeroError);
+            expect(parse('5/dF', { rng: { die: () => 2 } })).toThrowError(DivisionByZeroError);
+        });
+    });
+
+    describe('function', () => {
+        [
+            ['abs(2-5)', 3], ['min(3, 1+1)', 2], ['max(3, 1+1)', 3], ['max(-1, -2)', -1],
+            ['clamp(7, 1, 5)', 5], ['clamp(-2, 1, 5)', 1], ['clamp(3, 1, 5)', 3], ['clamp(3, 5, 1)', 1],
+            ['2*max(1, 2)+abs(-1)', 5],
+        ].forEach(([expr, expected]) => {
+            it(`evaluates correctly: ${expr}`, () => {
+                expect(parse(expr)()).toBe(expected);
+            });
+        });
+
+        it('takes dice as arguments', () => {
+            expect(parse('max(1, 1d4-2)', { rng: sequence([2]) })()).toBe(1);
+            expect(parse('max(1, 1d4-2)', { rng: sequence([4]) })()).toBe(2);
+            expect(parse('clamp(2d6, @lo, 10)', { rng: sequence([1, 2]) })({ lo: 4 })).toBe(4);
+            expect(parse('min(d6, d6)', { rng: sequence([5, 2]) })()).toBe(2);
+        });
+
+        it('rounds divisions in its arguments unless inside a rounding function', () => {
+            expect(parse('max(7/2, 1)')()).toBe(3);
+            expect(parse('ceil(max(7/2, 1))')()).toBe(4);
+        });
+
+        it('checks the number of arguments', () => {
+            expect(() => parse('min(1)')).toThrowError(InvalidChunkError, /wrong number of arguments: 1, not 2/);
+            expect(() => parse('abs(1, 2)')).toThrowError(InvalidChunkError);
+            expect(() => parse('clamp(1, 2)')).toThrowError(InvalidChunkError);
+            expect(() => parse('floor(7, 2)')).toThrowError(InvalidChunkError);
+        });
+
+        it('is formatted', () => {
+            expect(format('MAX( 1 , 1D4 - 2 )')).toBe('max(1, 1d4 - 2)');
+            expect(format('max(1, 2) + clamp(7, 1, 5) + abs(-3) + d4')).toBe('1d4 + 10');
+            expect(format('clamp(d20, 2 + 3, 5 * 3)')).toBe('clamp(1d20, 5, 15)');
+        });
+    });
+
+    describe('unreduced', () => {
+        it('keeps the terms of sums', () => {
+            spyOn(random, 'die').withArgs(6).and.returnValues(2, 5, 1, 3);
+            expect(parse('2d6+3-(2d6-1)')(false)).toEqual([[2, 5], 3, [-1, -3], 1]);
+        });
+
+        it('reduces other operations to a single term', () => {
+            spyOn(random, 'die').withArgs(6).and.returnValues(2, 5, 4);
+            expect(parse('(2d6+3)*2+d6')(false)).toEqual([20, [4]]);
+            expect(parse('max(1, 1d4-2) + d6', { rng: sequence([4, 3]) })(false)).toEqual([2, [3]]);
+        });
+    });
+
+    describe('limit', () => {
+        it('counts chunks inside parentheses', () => {
+            expect(() => parse('(1+1)*(1+1)*(1+1)*(1+1)*(1+1)')).not.toThrow();
+            expect(() => parse('(1+1)*(1+1)*(1+1)*(1+1)*(1+1)*2')).toThrowError(TooManyChunksError);
+        });
+
+        it('checks dice inside parentheses', () => {
+            expect(() => parse('floor((101d6)/2)')).toThrowError(TooManyDiceError);
+            expect(() => parse('max(1, min(101d6, 2))')).toThrowError(TooManyDiceError);
+        });
+
+        it('counts chunks inside the arguments of functions', () => {
+            const parser = createParser({ maxChunks: 4 });
+            expect(() => parser.parse('max(1, min(2, clamp(d6, 3, 4)))')).toThrowError(TooManyChunksError);
+            expect(() => parser.parse('max(1, min(2, abs(d6)))')).not.toThrow();
+        });
+    });
+
+    describe('distribution', () => {
+        it('supports multiplication', () => {
+            const d = distribution('d4*2');
+            expect([...d.probabilities.keys()]).toEqual([2, 4, 6, 8]);
+            expect(distribution('(2d6+3)*2').mean).toBeCloseTo(20, 12);
+        });
+
+        it('supports division and rounding', () => {
+            const d = distribution('d6/2');
+            expect([...d.probabilities.keys()]).toEqual([0, 1, 2, 3]);
+            expect(d.probability(1)).toBeCloseTo(1 / 3, 12);
+            expect([...distribution('ceil(d6/2)').probabilities.keys()]).toEqual([1, 2, 3]);
+            expect(distribution('floor(d2/2+d2/2)').probability(1)).toBeCloseTo(3 / 4, 12);
+        });
+
+        it('supports functions', () => {
+            expect([...distribution('max(1, 1d4-2)').probabilities]).toEqual([[1, 0.75], [2, 0.25]]);
+            expect(distribution('max(d6, d6)').probability(6)).toBeCloseTo(11 / 36, 12);
+            expect(distribution('abs(d6 - d6)').probability(0)).toBeCloseTo(1 / 6, 12);
+            expect(distribution('clamp(3d6, 6, 15)').min).toBe(6);
+            expect(distribution('ceil(max(d6/2, 1))').probability(2)).toBeCloseTo(1 / 3, 12);
+        });
+
+        it('excludes rolls which divide by zero', () => {
+            const d = distribution('6/dF');
+            expect([...d.probabilities.keys()]).toEqual([-6, 6]);
+            expect(d.probability(6)).toBeCloseTo(0.5, 12);
+            expect(d.failure).toBeCloseTo(1 / 3, 12);
+            expect(distribution('6/d6').failure).toBe(0);
+            expect(() => distribution('6/0')).toThrowError(DivisionByZeroError);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import { parse, parseAst, compile, createParser, tokenize, TooManyDiceError } from '../src/index.js';
+import { sequence } from '../src/random.js';
+
+describe('tokenize', () => {
+    it('splits an expression into tokens with their spans', () => {
+        expect(tokenize('2 * (D6 + 1)').map(({ type, text, start, end }) => ({ type, text, start, end }))).toEqual([
+            { type: 'number', text: '2', start: 0, end: 1 },
+            { type: 'operator', text: '*', start: 2, end: 3 },
+            { type: 'open', text: '(', start: 4, end: 5 },
+            { type: 'dice', text: 'd6', start: 5, end: 7 },
+            { type: 'operator', text: '+', start: 8, end: 9 },
+            { type: 'number', text: '1', start: 10, end: 11 },
+            { type: 'close', text: ')', start: 11, end: 12 },
+        ]);
+    });
+
+    it('splits the modifiers out of dice tokens', () => {
+        const [dice] = tokenize('4d6r1 kh3>=4');
+        expect(dice.modifiers).toEqual([
+            { type: 'modifier', text: 'r1', start: 3, end: 5 },
+            { type: 'modifier', text: 'kh3', start: 6, end: 9 },
+            { type: 'modifier', text: '>=4', start: 9, end: 12 },
+        ]);
+    });
+
+    it('gives dice without modifiers an empty list', () => {
+        expect(tokenize('d20')[0].modifiers).toEqual([]);
+    });
+});
+
+describe('parseAst', () => {
+    it('wraps the expression in a root node', () => {
+        const ast = parseAst('3 + d4');
+        expect(ast.type).toBe('expression');
+        expect(ast.source).toBe('3 + d4');
+        expect(ast.start).toBe(0);
+        expect(ast.end).toBe(6);
+        expect(ast.body.type).toBe('binary');
+        expect(ast.body.op).toBe('+');
+    });
+
+    it('produces constant nodes', () => {
+        expect(parseAst(' 12 ').body).toEqual({ type: 'constant', value: 12, start: 1, end: 3 });
+    });
+
+    it('describes the pool of dice nodes', () => {
+        const { body } = parseAst('4dF');
+        expect(body).toEqual(jasmine.objectContaining({
+            type: 'dice',
+            text: '4df',
+            num: 4,
+            die: 3,
+            offset: -2,
+            lowest: -1,
+            highest: 1,
+            modifiers: [],
+            start: 0,
+            end: 3,
+        }));
+    });
+
+    it('describes modifier nodes, including default arguments', () => {
+        const { body } = parseAst('4d6!kh');
+        expect(body.modifiers).toEqual([
+            { type: 'modifier', text: '!', func: '!', arg: 6, compare: '=', start: 3, end: 4 },
+            { type: 'modifier', text: 'kh', func: 'KH', arg: 1, compare: '=', start: 4, end: 6 },
+        ]);
+    });
+
+    it('describes compare points and targets', () => {
+        const { body } = parseAst('6d10r<3>=8f1');
+        expect(body.modifiers.map(({ func, arg, compare }) => ({ func, arg, compare }))).toEqual([
+            { func: 'R', arg: 3, compare: '<' },
+            { func: 'S', arg: 8, compare: '>=' },
+            { func: 'F', arg: 1, compare: '=' },
+        ]);
+    });
+
+    it('gives every node its span', () => {
+        const { body } = parseAst('floor(-d6 / 2)');
+        expect(body.type).toBe('call');
+        expect([body.start, body.end]).toEqual([0, 14]);
+        const [division] = body.args;
+        expect([division.start, division.end]).toEqual([6, 13]);
+        expect(division.left.type).toBe('negate');
+        expect([division.left.start, division.left.end]).toEqual([6, 9]);
+        expect([division.left.operand.start, division.left.operand.end]).toEqual([7, 9]);
+    });
+
+    it('checks dice against the limits of the parser', () => {
+        const parser = createParser({ maxDice: 5 });
+        expect(() => parser.parseAst('6d6')).toThrowError(TooManyDiceError);
+        expect(parser.parseAst('5d6').body.num).toBe(5);
+    });
+});
+
+describe('compile', () => {
+    it('produces the same roll function as parse', () => {
+        const rolls = [3, 5, 1, 6, 2, 4];
+        const expr = '(4d6kh3 + 2) * 2 - d4';
+        const fromAst = compile(parseAst(expr), { rng: sequence(rolls) });
+        const fromText = parse(expr, { rng: sequence(rolls) });
+        expect(fromAst.detail()).toEqual(fromText.detail());
+    });
+
+    it('compiles any node of a tree', () => {
+        const roll = compile(parseAst('2 * 3d4').body.right, { rng: sequence([1, 2, 3]) });
+        expect(roll()).toBe(6);
+    });
+
+    it('rolls rewritten dice nodes from their fields', () => {
+        const ast = parseAst('2d6');
+        ast.body = { ...ast.body, num: 3 };
+        expect(compile(ast, { rng: sequence([1, 2, 3]) })()).toBe(6);
+    });
+
+    it('checks rewritten dice against the limits', () => {
+        const ast = parseAst('2d6');
+        ast.body = { ...ast.body, num: 1000 };
+        expect(() => compile(ast)).toThrowError(TooManyDiceError);
+    });
+});
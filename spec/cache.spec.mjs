@@ -0,0 +1,107 @@
+import { parse, createParser, createDistribution, clearCache, cacheStats, distribution } from '../src/index.js';
+import { createCache, memoizeBounded } from '../src/cache.js';
+
+describe('createCache', () => {
+    it('evicts the least recently used entry when full', () => {
+        const cache = createCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.has('a');
+        cache.get('a');
+        cache.set('c', 3);
+        expect(cache.has('a')).toBeTrue();
+        expect(cache.has('b')).toBeFalse();
+        expect(cache.has('c')).toBeTrue();
+        expect(cache.stats().size).toBe(2);
+    });
+
+    it('caches nothing when its size is 0', () => {
+        const cache = createCache(0);
+        cache.set('a', 1);
+        expect(cache.has('a')).toBeFalse();
+        expect(cache.stats().size).toBe(0);
+    });
+
+    it('may be unbounded', () => {
+        const cache = createCache(Infinity);
+        for (let i = 0; i < 2000; i++) {
+            cache.set(i, i);
+        }
+        expect(cache.stats().size).toBe(2000);
+    });
+
+    it('rejects invalid sizes', () => {
+        [-1, 1.5, NaN, '10', null].forEach(size => expect(() => createCache(size)).toThrowError(TypeError));
+    });
+});
+
+describe('memoizeBounded', () => {
+    it('counts hits and misses', () => {
+        const f = jasmine.createSpy('f').and.callFake(x => x * 2);
+        const memoized = memoizeBounded(f, 2);
+        expect([memoized(1), memoized(2), memoized(1), memoized(3), memoized(2)]).toEqual([2, 4, 2, 6, 4]);
+        expect(f).toHaveBeenCalledTimes(4);
+        expect(memoized.cacheStats()).toEqual({ hits: 1, misses: 4, size: 2, maxSize: 2 });
+    });
+
+    it('can be cleared', () => {
+        const memoized = memoizeBounded(x => x, 2);
+        memoized(1);
+        memoized(1);
+        memoized.clearCache();
+        expect(memoized.cacheStats()).toEqual({ hits: 0, misses: 0, size: 0, maxSize: 2 });
+    });
+});
+
+describe('Parser cache', () => {
+    it('is bounded by the cache size', () => {
+        const parser = createParser({ cacheSize: 3 });
+        for (let i = 1; i <= 10; i++) {
+            parser.parse(`d${i}`);
+        }
+        expect(parser.cacheStats()).toEqual({ hits: 0, misses: 10, size: 3, maxSize: 3 });
+        parser.parse('d10');
+        parser.parse('d1');
+        expect(parser.cacheStats()).toEqual({ hits: 1, misses: 11, size: 3, maxSize: 3 });
+    });
+
+    it('defaults to 1000 expressions', () => {
+        expect(createParser().cacheSize).toBe(1000);
+        expect(createParser().cacheStats().maxSize).toBe(1000);
+    });
+
+    it('rejects invalid sizes', () => {
+        expect(() => createParser({ cacheSize: -1 })).toThrowError(TypeError);
+    });
+
+    it('still rolls expressions after they are evicted', () => {
+        const parser = createParser({ cacheSize: 1 });
+        const roll = parser.parse('2d6');
+        parser.parse('d4');
+        parser.clearCache();
+        expect(roll()).toBeGreaterThanOrEqual(2);
+    });
+
+    it('sizes the cache of distributions for the parser', () => {
+        const compute = createDistribution(createParser({ cacheSize: 2 }));
+        ['d4', 'd6', 'd8', 'd6'].forEach(expr => compute(expr));
+        expect(compute.cacheStats()).toEqual({ hits: 1, misses: 3, size: 2, maxSize: 2 });
+    });
+});
+
+describe('clearCache', () => {
+    it('empties the caches of parse and distribution', () => {
+        parse('d6 + 1');
+        distribution('d6 + 1');
+        clearCache();
+        expect(cacheStats()).toEqual({
+            parse: { hits: 0, misses: 0, size: 0, maxSize: 1000 },
+            distribution: { hits: 0, misses: 0, size: 0, maxSize: 1000 },
+        });
+        parse('d6 + 1');
+        parse('d6 + 1');
+        distribution('d6 + 1');
+        expect(cacheStats().parse).toEqual({ hits: 1, misses: 1, size: 1, maxSize: 1000 });
+        expect(cacheStats().distribution).toEqual({ hits: 0, misses: 1, size: 1, maxSize: 1000 });
+    });
+});
@@ -0,0 +1,172 @@
+import { Readable } from 'node:stream';
+
+import { EXIT_CODES, exitCode, formatDetail, main, parseOptions } from '../src/cli.js';
+import {
+    parse,
+    DiceError,
+    DieTooBigError,
+    DistributionTooComplexError,
+    DivisionByZeroError,
+    ExpressionTooLongError,
+    ImpossibleConditionError,
+    InvalidChunkError,
+    InvalidReferenceError,
+    MissingReferenceError,
+    RollLimitExceededError,
+    TooManyChunksError,
+    TooManyDiceError,
+} from '../src/index.js';
+import { seeded, sequence } from '../src/random.js';
+
+const output = () => {
+    const chunks = [];
+    return { write: text => chunks.push(text), text: () => chunks.join('') };
+};
+
+const run = async (args, input = []) => {
+    const stdout = output();
+    const stderr = output();
+    const code = await main(args, { stdin: Readable.from(input), stdout, stderr });
+    return { code, out: stdout.text(), err: stderr.text() };
+};
+
+const seededTotals = (expr, seed, times) => {
+    const roll = parse(expr, { rng: seeded(seed) });
+    return Array.from({ length: times }, () => roll());
+};
+
+describe('CLI', () => {
+    it('reads options', () => {
+        expect(parseOptions(['4d6kh3', '--times', '6', '--detail', '--seed', '42', '--json'])).toEqual({
+            times: 6,
+            detail: true,
+            seed: 42,
+            json: true,
+            stats: false,
+            interactive: false,
+            help: false,
+            expressions: ['4d6kh3'],
+        });
+        expect(parseOptions(['-n', '2', '-s', '1', 'd6', 'd8']).expressions).toEqual(['d6', 'd8']);
+    });
+
+    it('reads grouped, joined and inline options, and expressions after --', () => {
+        expect(parseOptions(['-dj', '-n6', '--seed=3', 'd6', '--', '-d4', '--stats'])).toEqual({
+            times: 6,
+            detail: true,
+            seed: 3,
+            json: true,
+            stats: false,
+            interactive: false,
+            help: false,
+            expressions: ['d6', '-d4', '--stats'],
+        });
+    });
+
+    it('prints totals', async () => {
+        const { code, out } = await run(['4d6kh3', '--times', '6', '--seed', '42']);
+        expect(code).toBe(0);
+        expect(out).toBe(seededTotals('4d6kh3', 42, 6).map(total => `${total}\n`).join(''));
+    });
+
+    it('prints every die rolled', async () => {
+        const { out } = await run(['4d6kh3 + 2', '--detail', '--seed', '42']);
+        const detail = parse('4d6kh3 + 2', { rng: seeded(42) }).detail();
+        expect(out).toBe(`${formatDetail(detail)}\n`);
+        expect(formatDetail(parse('4d6kh3+d4-1', { rng: sequence([6, 2, 5, 6, 3]) }).detail()))
+            .toBe('19  4d6kh3 [6, 6, 5, (2)]  d4 [3]');
+    });
+
+    it('prints JSON', async () => {
+        const { out } = await run(['2d6', '--json', '--times', '2', '--seed', '7', '--stats']);
+        const roll = parse('2d6', { rng: seeded(7) });
+        expect(JSON.parse(out)).toEqual({
+            expression: '2d6',
+            rolls: [roll.detail(), roll.detail()],
+            stats: { min: 2, max: 12, mean: jasmine.any(Number) },
+        });
+    });
+
+    it('prints statistics', async () => {
+        const { out } = await run(['2d6+1', '--stats', '--seed', '1']);
+        expect(out.split('\n')[1]).toBe('min 3, max 13, mean 8');
+    });
+
+    it('estimates statistics too complex to compute exactly', async () => {
+        const { code, out } = await run(['100d1000 + 100d1000', '--stats', '--seed', '1']);
+        expect(code).toBe(0);
+        expect(out.split('\n')[1]).toMatch(/^min \d+, max \d+, mean [\d.]+ \(estimated from 100000 rolls\)$/);
+    });
+
+    it('rolls the same with a seed whether or not statistics are estimated', async () => {
+        const input = ['100d1000 + 100d1000\n', 'd20\n'];
+        const plain = (await run(['--seed', '5'], input)).out.split('\n');
+        const stats = (await run(['--seed', '5', '--stats'], input)).out.split('\n');
+        // Each roll is followed by its statistics.
+        expect([stats[0], stats[2]]).toEqual(plain.slice(0, 2));
+        expect((await run(['--seed', '5', '--stats'], input)).out).toBe(stats.join('\n'));
+    });
+
+    it('prints help', async () => {
+        const { code, out } = await run(['--help']);
+        expect(code).toBe(0);
+        expect(out).toContain('Usage: fdice');
+    });
+
+    it('exits with 2 for bad options', async () => {
+        expect((await run(['--times', '0', 'd6'])).code).toBe(2);
+        expect((await run(['--seed', 'x', 'd6'])).code).toBe(2);
+        expect((await run(['--unknown', 'd6'])).code).toBe(2);
+        expect((await run(['--detail=yes', 'd6'])).code).toBe(2);
+        expect((await run(['d6', '-n'])).code).toBe(2);
+    });
+
+    it('has a distinct exit code for each error', () => {
+        const errors = [
+            DiceError,
+            DieTooBigError,
+            DistributionTooComplexError,
+            DivisionByZeroError,
+            ExpressionTooLongError,
+            ImpossibleConditionError,
+            InvalidChunkError,
+            InvalidReferenceError,
+            MissingReferenceError,
+            RollLimitExceededError,
+            TooManyChunksError,
+            TooManyDiceError,
+        ];
+        const codes = errors.map(type => exitCode(new type('failed')));
+        expect(new Set([...codes, 0, 1, 2]).size).toBe(codes.length + 3);
+        expect(exitCode(new TypeError('failed'))).toBe(1);
+    });
+
+    it('exits with the code of the error and points at its location', async () => {
+        const { code, out, err } = await run(['d6', '2d6 + xyz', 'd8']);
+        expect(code).toBe(EXIT_CODES.INVALID_CHUNK);
+        expect(out.split('\n').length).toBe(2);
+        expect(err).toContain('\n  2d6 + xyz\n        ^^^\n');
+        expect((await run(['200d6'])).code).toBe(EXIT_CODES.TOO_MANY_DICE);
+        expect((await run(['d6/0'])).code).toBe(EXIT_CODES.DIVISION_BY_ZERO);
+    });
+
+    it('reads expressions from the input when none are given', async () => {
+        const { code, out, err } = await run(['--seed', '3'], ['d6\n', 'xyz\n', '\n', '2d4\n']);
+        const roll = parse('d6', { rng: seeded(3) });
+        expect(out.split('\n')[0]).toBe(String(roll()));
+        expect(out.split('\n').length).toBe(3);
+        expect(err).toContain('xyz');
+        expect(code).toBe(EXIT_CODES.INVALID_CHUNK);
+    });
+
+    it('stops reading at exit', async () => {
+        const { code, out } = await run([], ['d6\n', 'exit\n', 'd6\n']);
+        expect(code).toBe(0);
+        expect(out.split('\n').length).toBe(2);
+    });
+
+    it('reads expressions after those given when interactive', async () => {
+        const { out } = await run(['d6', '-i'], ['d8\n']);
+        expect(out.split('\n').length).toBe(3);
+    });
+});
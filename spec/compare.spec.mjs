@@ -0,0 +1,122 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    distribution,
+    createParser,
+    createDistribution,
+    registerDie,
+    InvalidChunkError,
+} from '../src/index.js';
+import { formatDetail } from '../src/cli.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+registerDie('contest', [{ success: 1 }, {}]);
+
+describe('Comparison', () => {
+    it('gives both sides, the winner and the margin of a contest', () => {
+        expect(parse('1d20+5 vs 1d20+3', { rng: sequence([12, 4]) })()).toEqual({
+            left: 17,
+            right: 7,
+            winner: 'left',
+            margin: 10,
+            success: true,
+        });
+        expect(parse('d20 VS d20 + 2', { rng: sequence([6, 5]) })())
+            .toEqual(jasmine.objectContaining({ winner: 'right', margin: -1, success: false }));
+    });
+
+    it('settles ties by the tie rule', () => {
+        const tie = options => createParser(options).parse('d20 vs d20', { rng: sequence([7, 7]) })();
+        expect(tie()).toEqual({ left: 7, right: 7, winner: null, margin: 0, success: false });
+        expect(tie({ ties: 'left' })).toEqual(jasmine.objectContaining({ winner: 'left', success: true }));
+        expect(tie({ ties: 'right' })).toEqual(jasmine.objectContaining({ winner: 'right', success: false }));
+        expect(() => createParser({ ties: 'reroll' })).toThrowError(TypeError, /tie rule/);
+        expect(createParser({ ties: 'left' }).ties).toBe('left');
+    });
+
+    it('checks the total against a target', () => {
+        expect(parse('(3d6) <= 12', { rng: sequence([3, 4, 5]) })())
+            .toEqual({ left: 12, right: 12, winner: 'left', margin: 0, success: true });
+        expect(parse('d20 + 5>=15', { rng: sequence([9]) })().success).toBe(false);
+        expect(parse('(2d6) > @dc', { rng: sequence([3, 4]) })({ dc: 6 }).success).toBe(true);
+        expect(parse('(d6)<2', { rng: sequence([1]) })().success).toBe(true);
+        expect(parse('d6 + 1 < 3', { rng: sequence([1]) })().success).toBe(true);
+        expect(parse('10d10=8', { rng: sequence(Array(10).fill(1)) })().margin).toBe(2);
+    });
+
+    it('leaves targets of dice, however they are spaced', () => {
+        expect(parse('3d6<=4', { rng: sequence([3, 4, 5]) })()).toBe(2);
+        expect(parse('3d6 <= 4', { rng: sequence([3, 4, 5]) })()).toBe(2);
+        expect(parse('d20 + 1d4 >= 3', { rng: sequence([10, 3]) })()).toBe(11);
+        expect(parse('(3d6<=4) >= 2', { rng: sequence([3, 4, 5]) })().success).toBe(true);
+        expect(parse('3d10!@x >=@t', { rng: sequence([10, 2, 8, 9]) })({ x: 10, t: 8 })).toBe(3);
+    });
+
+    it('gives unreduced and labelled sides', () => {
+        expect(parse('d6 + 1 vs 2d4', { rng: sequence([3, 2, 2]) })(false))
+            .toEqual({ left: [[3], 1], right: [[2, 2]], winner: null, margin: 0, success: false });
+        expect(parse('d8[fire] + 2 vs 5', { rng: sequence([6]) })().left).toEqual({ total: 8, labels: { fire: 6 } });
+    });
+
+    it('gives the detail of each side', () => {
+        const detail = parse('d20 + 2 vs d20', { rng: sequence([20, 13]) }).detail();
+        expect(detail.left).toEqual(jasmine.objectContaining({ total: 22, critical: true }));
+        expect(detail.right).toEqual(jasmine.objectContaining({ total: 13, critical: false }));
+        expect([detail.winner, detail.margin, detail.success]).toEqual(['left', 9, true]);
+        expect(formatDetail(detail)).toBe('success (22 to 13, margin 9)  d20 [20]  d20 [13]');
+        expect(formatDetail(parse('d4 vs 2', { rng: sequence([2]) }).detail())).toBe('tie (2 to 2, margin 0)  d4 [2]');
+    });
+
+    it('may be repeated, compiled and rolled as a critical', () => {
+        expect(parse('2x (d6) >= 4', { rng: sequence([3, 4]) })().map(({ success }) => success)).toEqual([false, true]);
+        expect(compile(parseAst('d6 vs 3'), { rng: sequence([5]) })().margin).toBe(2);
+        expect(parse('d6 vs d6', { rng: sequence([1, 2, 3, 4]), critical: true })())
+            .toEqual(jasmine.objectContaining({ left: 3, right: 7 }));
+    });
+
+    it('is only allowed once, for the whole expression', () => {
+        ['1 + (d6 vs d6)', 'd6 vs d6 vs d6', '{(d6) > 2, d6}', 'floor(d6 = 2)', 'vs d6', 'd6 >=']
+            .forEach(expr => expect(() => parse(expr)).withContext(expr).toThrowError(InvalidChunkError));
+        const error = thrown(() => parse('1 + (d6 vs d6)'));
+        expect([error.offset, error.length]).toEqual([8, 2]);
+    });
+
+    it("can't compare narrative dice", () => {
+        const error = thrown(() => parse('2 vs 2dcontest'));
+        expect(error).toBeInstanceOf(InvalidChunkError);
+        expect([error.offset, error.length]).toEqual([5, 9]);
+    });
+
+    it('is in the syntax tree and formatted', () => {
+        expect(parseAst('d20 + 5 >= 15').body).toEqual(jasmine.objectContaining({
+            type: 'compare',
+            op: '>=',
+            right: jasmine.objectContaining({ type: 'constant', value: 15 }),
+            start: 0,
+            end: 13,
+        }));
+        expect(format('1D20+5VS 1d20+1+2')).toBe('1d20 + 5 vs 1d20 + 3');
+        expect(format('3d6 <= 12')).toBe('3d6<=12');
+        expect(format('( 3d6 )<=12')).toBe('(3d6) <= 12');
+        expect(format('(d20 + 1d4) >= 15')).toBe('(1d20 + 1d4) >= 15');
+        expect(format('10d10=8')).toBe('(10d10) = 8');
+        expect(format('d8[fire] >= 5')).toBe('1d8[fire] >= 5');
+        expect(format('(4d6kh@k) >= 10')).toBe('(4d6kh@k) >= 10');
+        expect(format('4d6kh@k >=10')).toBe('4d6kh@k >=10');
+    });
+
+    it('has the distribution of its margin and the probability of success', () => {
+        const contest = distribution('1d20+5 vs 1d20+3');
+        expect(contest.min).toBe(-17);
+        expect(contest.max).toBe(21);
+        expect(contest.mean).toBeCloseTo(2, 10);
+        expect(contest.success).toBeCloseTo(229 / 400, 12);
+        expect(distribution('(3d6) <= 12').success).toBeCloseTo(160 / 216, 12);
+        expect(distribution('3x d6 = 6').success).toBeCloseTo(1 / 6, 12);
+        expect(createDistribution(createParser({ ties: 'left' }))('d20 vs d20').success).toBeCloseTo(210 / 400, 12);
+        expect(distribution('d6').success).toBeUndefined();
+    });
+});
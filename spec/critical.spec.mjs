@@ -0,0 +1,105 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    distribution,
+    createParser,
+    registerDie,
+    TooManyDiceError,
+} from '../src/index.js';
+import { sequence } from '../src/random.js';
+
+registerDie('omen', [{ bane: 1 }, {}, { boon: 1 }]);
+
+const detail = (expr, rolls, context) => parse(expr, { rng: sequence(rolls) }).detail(context);
+
+const flags = ({ chunks }) => chunks.flatMap(({ dice = [] }) => dice.map(({ face, critical, fumble }) =>
+    critical ? `${face}!` : fumble ? `${face}?` : String(face)));
+
+describe('Critical successes and fumbles', () => {
+    it('are the highest and lowest faces by default', () => {
+        expect(detail('1d20+5', [20])).toEqual(jasmine.objectContaining({ total: 25, critical: true, fumble: false }));
+        expect(detail('1d20+5', [1])).toEqual(jasmine.objectContaining({ critical: false, fumble: true }));
+        expect(detail('1d20+5', [12])).toEqual(jasmine.objectContaining({ critical: false, fumble: false }));
+        expect(flags(detail('3d6 + d{0,0,1,1,2,3}', [6, 1, 3, 6]))).toEqual(['6!', '1?', '3', '3!']);
+    });
+
+    it('follow the annotations of a pool', () => {
+        const threat = detail('d20cs>=19cf1', [19]);
+        expect([threat.critical, threat.fumble]).toEqual([true, false]);
+        expect(detail('d20cs>=19cf<=2', [2]).fumble).toBeTrue();
+        expect(detail('d20cs>=@range', [18], { range: 18 }).critical).toBeTrue();
+    });
+
+    it('use the default for an annotation which is left out', () => {
+        expect(detail('d20cs>=19', [1]).fumble).toBeTrue();
+        expect(detail('d20cf2', [20]).critical).toBeTrue();
+    });
+
+    it('only come from annotated pools when any pool is annotated', () => {
+        const bless = detail('d20cs + d4', [10, 4]);
+        expect(bless.critical).toBeFalse();
+        expect(flags(bless)).toEqual(['10', '4']);
+        expect(detail('d20cs + d4', [20, 1])).toEqual(jasmine.objectContaining({ critical: true, fumble: false }));
+    });
+
+    it('only count kept dice', () => {
+        expect(flags(detail('2d20kh1', [1, 15]))).toEqual(['15', '1']);
+        expect(detail('2d20kh1', [1, 15]).fumble).toBeFalse();
+        expect(detail('2d20kl1', [20, 5]).critical).toBeFalse();
+        expect(detail('{d20, d20}kl1', [20, 5]).critical).toBeFalse();
+    });
+
+    it("don't change the roll", () => {
+        expect(parse('d20cs>=19cf1 + 2', { rng: sequence([19]) })()).toBe(21);
+        expect(parse('2d6cs', { rng: sequence([6, 6]) })(false)).toEqual([[6, 6]]);
+        expect(distribution('d20cs>=19cf1').probabilities).toEqual(distribution('d20').probabilities);
+        expect(parse('5d10cs10>=8', { rng: sequence([10, 8, 1, 3, 9]) })()).toBe(3);
+    });
+
+    it('are formatted with explicit arguments', () => {
+        expect(format('D20CS>=19 CF')).toBe('1d20cs>=19cf1');
+        expect(parseAst('d20cs').body.modifiers[0]).toEqual(jasmine.objectContaining({ func: 'CS', arg: 20 }));
+    });
+
+    it('are not marked on narrative dice', () => {
+        const omens = detail('2domen', [1, 3]);
+        expect([omens.critical, omens.fumble]).toEqual([false, false]);
+        expect(flags(omens)).toEqual(['1', '3']);
+    });
+});
+
+describe('Critical rolls', () => {
+    it('roll twice as many dice by default', () => {
+        expect(parse('2d6+3', { critical: true, rng: sequence([1, 2, 3, 4]) })()).toBe(13);
+        expect(parse('@n d6', { critical: true, rng: sequence([1, 2, 3, 4]) })({ n: 2 })).toBe(10);
+        expect(compile(parseAst('d8'), { critical: true, rng: sequence([3, 5]) })()).toBe(8);
+    });
+
+    it('keep rolling the same expression normally', () => {
+        const roll = parse('2d6', { rng: sequence([1, 2, 3, 4]) });
+        expect(parse('2d6', { critical: true, rng: sequence([1, 2, 3, 4]) })()).toBe(10);
+        expect(roll()).toBe(3);
+    });
+
+    it('use the multiplier of the parser', () => {
+        const triple = createParser({ critMultiplier: 3 });
+        expect(triple.critMultiplier).toBe(3);
+        expect(triple.parse('2d6', { critical: true, rng: sequence([1, 1, 1, 1, 1, 1]) })()).toBe(6);
+        const extra = createParser({ critMultiplier: ({ num }) => num + 1 });
+        expect(extra.parse('2d6', { critical: true, rng: sequence([1, 2, 3]) })()).toBe(6);
+    });
+
+    it('are checked against the limits', () => {
+        expect(() => parse('60d6')).not.toThrow();
+        expect(() => parse('60d6', { critical: true })).toThrowError(TooManyDiceError);
+        expect(() => createParser({ critMultiplier: ({ num }) => num / 2 }).parse('3d6', { critical: true }))
+            .toThrowError(TypeError);
+    });
+
+    it('reject an invalid multiplier', () => {
+        [0, 1.5, '2', null].forEach(critMultiplier =>
+            expect(() => createParser({ critMultiplier })).withContext(String(critMultiplier)).toThrowError(TypeError));
+    });
+});
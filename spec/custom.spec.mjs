@@ -0,0 +1,81 @@
+import {
+    parse,
+    parseAst,
+    format,
+    distribution,
+    createParser,
+    registerDie,
+    DieTooBigError,
+    ImpossibleConditionError,
+} from '../src/index.js';
+import { sequence } from '../src/random.js';
+
+registerDie('avg', [2, 3, 3, 4, 4, 5]);
+registerDie('Fate_3', [-1, -1, 0, 0, 1, 1]);
+
+describe('Custom die', () => {
+    it('rolls one of its faces', () => {
+        expect(parse('3d{0,0,1,1,2,3}', { rng: sequence([1, 4, 6]) })()).toBe(4);
+        expect(parse('d{2,4,6,8,10,12}', { rng: sequence([5]) })()).toBe(10);
+        expect(parse('2d{ -1, 0, +1 } + 1', { rng: sequence([1, 1]) })()).toBe(-1);
+    });
+
+    it('rolls a registered die by name', () => {
+        expect(parse('2davg', { rng: sequence([1, 6]) })()).toBe(7);
+        expect(parse('dFATE_3 + 2dAvg', { rng: sequence([1, 2, 3]) })()).toBe(5);
+    });
+
+    it('works with every modifier', () => {
+        expect(parse('4davgkh3', { rng: sequence([1, 6, 3, 4]) })()).toBe(12);
+        expect(parse('d{0,0,1,1,2,3}r', { rng: sequence([1, 6]) })()).toBe(3);
+        expect(parse('d{0,0,1,1,2,3}!', { rng: sequence([6, 6, 5, 1]) })()).toBe(8);
+        expect(parse('3davg>=4', { rng: sequence([1, 4, 6]) })()).toBe(2);
+        expect(parse('4davgf', { rng: sequence([1, 2, 3, 6]) })()).toBe(-1);
+    });
+
+    it('defaults arguments from its lowest and highest faces', () => {
+        const [reroll, twice] = parseAst('d{5,1,9,3}rt').body.modifiers;
+        expect(reroll.arg).toBe(1);
+        expect(twice.arg).toBe(9);
+        expect(parseAst('davg').body).toEqual(jasmine.objectContaining({
+            die: 6,
+            lowest: 2,
+            highest: 5,
+            faces: [2, 3, 3, 4, 4, 5],
+        }));
+    });
+
+    it('is checked against the limits', () => {
+        expect(() => createParser({ maxFaces: 5 }).parse('davg')).toThrowError(DieTooBigError);
+        expect(() => parse('d{1,1,2}rr<3')).toThrowError(ImpossibleConditionError);
+    });
+
+    it('is formatted by its name or as its faces', () => {
+        expect(format('2DAVG kh')).toBe('2davgkh1');
+        expect(format('d{ -1, 0, +1 }!')).toBe('1d{-1,0,1}!1');
+    });
+
+    it('has a distribution', () => {
+        const { probabilities, mean } = distribution('davg');
+        expect([...probabilities]).toEqual([[2, 1 / 6], [3, 1 / 3], [4, 1 / 3], [5, 1 / 6]]);
+        expect(mean).toBeCloseTo(3.5, 12);
+        expect(distribution('d{0,0,1,1,2,3}!').mean).toBeCloseTo(1.4, 10);
+        expect(distribution('2davgkh1').max).toBe(5);
+    });
+});
+
+describe('registerDie', () => {
+    it('rejects invalid names', () => {
+        ['', '1x', 'a-b', 'x y', 42].forEach(name => expect(() => registerDie(name, [1])).toThrowError(TypeError));
+    });
+
+    it('rejects names which are taken', () => {
+        expect(() => registerDie('AVG', [1])).toThrowError(TypeError, /already/);
+        expect(() => registerDie('avgr', [1])).toThrowError(TypeError, /already/);
+        expect(() => registerDie('fr', [1])).toThrowError(TypeError, /already/);
+    });
+
+    it('rejects invalid faces', () => {
+        [[], [1.5], ['1'], null].forEach(faces => expect(() => registerDie('bad', faces)).toThrowError(TypeError));
+    });
+});
@@ -0,0 +1,134 @@
+import { parse } from '../src/fdice.js';
+import { seeded, sequence } from '../src/random.js';
+
+const die = (face, flags) => ({
+    face,
+    original: face,
+    kept: true,
+    dropped: false,
+    rerolled: false,
+    exploded: false,
+    doubled: false,
+    added: false,
+    success: false,
+    failure: false,
+    critical: false,
+    fumble: false,
+    ...flags,
+});
+
+const detail = (expr, rolls) => parse(expr, { rng: sequence(rolls) }).detail();
+
+describe('Detail', () => {
+    it('lists each chunk with its dice and subtotal', () => {
+        expect(detail('2d6+3', [4, 5])).toEqual({
+            total: 12,
+            chunks: [
+                { text: '2d6', sign: 1, dice: [die(4), die(5)], subtotal: 9 },
+                { text: '3', sign: 1, value: 3, subtotal: 3 },
+            ],
+            critical: false,
+            fumble: false,
+        });
+    });
+
+    it('gives subtracted chunks a negative sign and subtotal', () => {
+        const { total, chunks } = detail('d20-1d4', [12, 3]);
+        expect(total).toBe(9);
+        expect(chunks[1]).toEqual({ text: '1d4', sign: -1, dice: [die(3)], subtotal: -3 });
+        expect(detail('-3+d4', [2]).chunks[0]).toEqual({ text: '3', sign: -1, value: 3, subtotal: -3 });
+    });
+
+    it('keeps dropped dice', () => {
+        const { total, chunks } = detail('4d6kh3', [3, 6, 1, 5]);
+        expect(total).toBe(14);
+        expect(chunks[0].dice).toEqual([
+            die(6, { critical: true }),
+            die(5),
+            die(3),
+            die(1, { kept: false, dropped: true }),
+        ]);
+        expect(chunks[0].subtotal).toBe(14);
+    });
+
+    it('shows the original value of rerolled dice', () => {
+        const { chunks } = detail('3d6r1', [1, 4, 2, 6]);
+        expect(chunks[0].dice).toEqual([die(6, { original: 1, rerolled: true, critical: true }), die(4), die(2)]);
+        expect(chunks[0].subtotal).toBe(12);
+    });
+
+    it('marks exploded dice and the dice they add', () => {
+        const { chunks } = detail('2d6!', [6, 2, 6, 1]);
+        expect(chunks[0].dice).toEqual([
+            die(6, { exploded: true, critical: true }),
+            die(6, { exploded: true, added: true, critical: true }),
+            die(1, { added: true, fumble: true }),
+            die(2),
+        ]);
+        expect(chunks[0].subtotal).toBe(15);
+    });
+
+    it('marks compounded dice', () => {
+        const { chunks } = detail('2d6!!', [6, 3, 6, 4]);
+        expect(chunks[0].dice).toEqual([die(16, { original: 6, exploded: true }), die(3)]);
+    });
+
+    it('shows the roll of dice added by penetrating explosions', () => {
+        const { chunks } = detail('1d6!p', [6, 6, 3]);
+        expect(chunks[0].dice).toEqual([
+            die(6, { exploded: true, critical: true }),
+            die(5, { original: 6, exploded: true, added: true }),
+            die(2, { original: 3, added: true }),
+        ]);
+        expect(chunks[0].subtotal).toBe(13);
+    });
+
+    it('marks doubled dice and their copies', () => {
+        const { chunks } = detail('3d10t10', [10, 4, 7]);
+        expect(chunks[0].dice).toEqual([
+            die(10, { doubled: true, critical: true }),
+            die(10, { doubled: true, added: true, critical: true }),
+            die(4),
+            die(7),
+        ]);
+        expect(chunks[0].subtotal).toBe(31);
+    });
+
+    it('carries flags through chained modifiers', () => {
+        const { total, chunks } = detail('4d6r1kh2', [1, 3, 5, 2, 6]);
+        expect(total).toBe(11);
+        expect(chunks[0].dice).toEqual([
+            die(6, { original: 1, rerolled: true, critical: true }),
+            die(5),
+            die(3, { kept: false, dropped: true }),
+            die(2, { kept: false, dropped: true }),
+        ]);
+    });
+
+    it('does not modify dropped dice', () => {
+        const { chunks } = detail('3d6dl1!', [6, 6, 2, 1, 3]);
+        expect(chunks[0].dice).toEqual([
+            die(2, { kept: false, dropped: true }),
+            die(6, { exploded: true, critical: true }),
+            die(1, { added: true, fumble: true }),
+            die(6, { exploded: true, critical: true }),
+            die(3, { added: true }),
+        ]);
+    });
+
+    it('lists chunks inside other operations', () => {
+        const { total, chunks } = detail('(2d6+3)*2-d4', [1, 2, 4]);
+        expect(total).toBe(8);
+        expect(chunks.map(({ text, sign, subtotal }) => ({ text, sign, subtotal }))).toEqual([
+            { text: '2d6', sign: 1, subtotal: 3 },
+            { text: '3', sign: 1, subtotal: 3 },
+            { text: '2', sign: 1, subtotal: 2 },
+            { text: 'd4', sign: -1, subtotal: -4 },
+        ]);
+    });
+
+    it('totals the same as the roll function', () => {
+        const expr = '6d8!kl4kh2r5+floor(3d4/2)-2d%';
+        expect(parse(expr, { rng: seeded(7) }).detail().total).toBe(parse(expr, { rng: seeded(7) })());
+    });
+});
@@ -0,0 +1,169 @@
+import { distribution } from '../src/distribution.js';
+import {
+    DistributionTooComplexError,
+    InvalidChunkError,
+    RollLimitExceededError,
+    TooManyDiceError,
+} from '../src/fdice.js';
+import { thrown } from './helpers/thrown.mjs';
+
+describe('Distribution', () => {
+    it('gives the probability of every total', () => {
+        const d = distribution('2d6');
+        expect([...d.probabilities.keys()]).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        expect(d.probability(7)).toBeCloseTo(6 / 36, 12);
+        expect(d.probability(2)).toBeCloseTo(1 / 36, 12);
+        expect(d.probability(13)).toBe(0);
+    });
+
+    it('summarises the totals', () => {
+        const d = distribution('2d6+1');
+        expect(d.min).toBe(3);
+        expect(d.max).toBe(13);
+        expect(d.mean).toBeCloseTo(8, 12);
+        expect(d.variance).toBeCloseTo(35 / 6, 12);
+    });
+
+    it('gives percentiles', () => {
+        const d = distribution('1d10');
+        expect(d.percentile(0)).toBe(1);
+        expect(d.percentile(50)).toBe(5);
+        expect(d.percentile(51)).toBe(6);
+        expect(d.percentile(100)).toBe(10);
+    });
+
+    it('supports negative chunks and special dice', () => {
+        expect(distribution('-d4').min).toBe(-4);
+        expect(distribution('3dF').probability(-3)).toBeCloseTo(1 / 27, 12);
+        expect(distribution('d%').max).toBe(100);
+    });
+
+    describe('modifier', () => {
+        it('supports keep and drop', () => {
+            expect(distribution('4d6kh3').mean).toBeCloseTo(15869 / 1296, 12);
+            expect(distribution('4d6dl1').mean).toBeCloseTo(15869 / 1296, 12);
+            expect(distribution('2d20kh').probability(20)).toBeCloseTo(39 / 400, 12);
+            expect(distribution('2d20kl').probability(20)).toBeCloseTo(1 / 400, 12);
+            expect(distribution('3d6dh2').mean).toBeCloseTo(distribution('3d6kl1').mean, 12);
+        });
+
+        it('supports reroll', () => {
+            const d = distribution('d6r1');
+            expect(d.probability(1)).toBeCloseTo(1 / 36, 12);
+            expect(d.probability(6)).toBeCloseTo(7 / 36, 12);
+        });
+
+        it('supports twice', () => {
+            const d = distribution('d6t6');
+            expect(d.probability(12)).toBeCloseTo(1 / 6, 12);
+            expect(d.probability(6)).toBe(0);
+        });
+
+        it('supports explode', () => {
+            const d = distribution('d6!');
+            expect(d.mean).toBeCloseTo(4.2, 12);
+            expect(d.probability(6)).toBe(0);
+            expect(d.probability(7)).toBeCloseTo(1 / 36, 12);
+        });
+
+        it('supports compounding and penetrating explode', () => {
+            expect(distribution('d6!!').mean).toBeCloseTo(4.2, 12);
+            expect(distribution('d6!!').probability(6)).toBe(0);
+            expect(distribution('d6!!').probability(7)).toBeCloseTo(1 / 36, 12);
+            expect(distribution('d6!p').mean).toBeCloseTo(4, 12);
+            // A 6 followed by a 1 counts as 6 + 0, while 11 needs a 6, another 6 counting as 5, then a 1.
+            expect(distribution('d6!p').probability(6)).toBeCloseTo(1 / 36, 12);
+            expect(distribution('d6!p').probability(11)).toBeCloseTo(1 / 216, 12);
+        });
+
+        it('excludes rolls whose explosions exceed the roll limit', () => {
+            // With 100 dice, the roller allows no explosions at all.
+            const d = distribution('100d100!');
+            expect(d.max).toBe(9900);
+            expect(d.mean).toBeCloseTo(5000, 8);
+            expect(d.failure).toBeCloseTo(1 - 0.99 ** 100, 12);
+            // With 99 dice, each die may explode once, but not twice.
+            expect(distribution('99d100!').failure).toBeCloseTo(1 - (1 - 0.01 ** 2) ** 99, 12);
+            expect(distribution('d6!').failure).toBe(0);
+        });
+
+        it('refuses explosions which always exceed the roll limit', () => {
+            const error = thrown(() => distribution('2 + 1d1!'));
+            expect(error).toBeInstanceOf(RollLimitExceededError);
+            expect(error.limit).toBe(100);
+            expect(error.offset).toBe(4);
+            expect(error.length).toBe(4);
+            expect(() => distribution('1d1!!kh1')).toThrowError(RollLimitExceededError);
+        });
+
+        it('supports chains', () => {
+            // Re-rolling 1s on a d2 always leaves a 2 unless the re-roll is also a 1.
+            const d = distribution('2d2r1kh1');
+            expect(d.probability(1)).toBeCloseTo(1 / 16, 12);
+            expect(d.probability(2)).toBeCloseTo(15 / 16, 12);
+        });
+
+        it('supports compare points', () => {
+            expect(distribution('d20r<3').mean).toBeCloseTo(11.4, 12);
+            expect(distribution('d10t>=9').mean).toBeCloseTo(7.4, 12);
+            expect(distribution('d10!>=9').mean).toBeCloseTo(5.5 / 0.8, 12);
+            expect(distribution('d10!>=9').probability(9)).toBe(0);
+            expect(distribution('3d10!>=9kh2').min).toBe(2);
+        });
+
+        it('supports reroll until valid', () => {
+            const d = distribution('d6rr<3');
+            expect(d.probability(1)).toBe(0);
+            expect(d.probability(3)).toBeCloseTo(1 / 4, 12);
+            expect(d.mean).toBeCloseTo(4.5, 12);
+        });
+
+        it('supports success counting', () => {
+            expect(distribution('3d6>4').probability(3)).toBeCloseTo(1 / 27, 12);
+            expect(distribution('3d6>4').mean).toBeCloseTo(1, 12);
+            expect(distribution('10d10>=8f1').mean).toBeCloseTo(2, 12);
+            expect(distribution('10d10>=8f1').min).toBe(-10);
+            // The highest of 2d6 is at least 4 three times in four, whether it is kept or the other is dropped.
+            expect(distribution('2d6kh1>=4').probability(1)).toBeCloseTo(3 / 4, 12);
+            expect(distribution('2d6dl1>=4').probability(1)).toBeCloseTo(3 / 4, 12);
+        });
+    });
+
+    it('computes large pools', () => {
+        const d = distribution('100d1000');
+        expect([d.min, d.max]).toEqual([100, 100000]);
+        expect(d.mean).toBeCloseTo(50050, 6);
+        // Even the least likely totals are accurate.
+        expect(d.probability(100) / 1e-300).toBeCloseTo(1, 9);
+        expect(distribution('30d100kh1').probability(100)).toBeCloseTo(1 - 0.99 ** 30, 12);
+        const lowest = Array.from({ length: 100 }, (_, i) => ((100 - i) / 100) ** 30).reduce((a, b) => a + b);
+        expect(distribution('30d100dl1').mean).toBeCloseTo(30 * 50.5 - lowest, 9);
+        expect(distribution('20d20kh10').max).toBe(200);
+    });
+
+    it('keeps from large pools where only the best face explodes or is doubled', () => {
+        const choose = (n, k) => Array.from({ length: k }, (_, i) => (n - i) / (i + 1)).reduce((a, b) => a * b, 1);
+        // Only keeping ten 6s gives 60, and each of the 20 dice adds a run of 6s before its last roll.
+        const exploded = distribution('20d6!kh10');
+        const fewer = Array.from({ length: 10 }, (_, m) => choose(m + 19, 19) * 6 ** -m * (5 / 6) ** 20);
+        expect(exploded.probability(60)).toBeCloseTo(1 - fewer.reduce((a, b) => a + b), 12);
+        expect(exploded.probability(10) * 6 ** 20).toBeCloseTo(1, 9);
+        // Each 6 counts twice, so at least 25 of them keep only 6s.
+        const doubled = distribution('100d6t6kh50');
+        const twice = Array.from({ length: 76 }, (_, m) => choose(100, m + 25) * 6 ** -(m + 25) * (5 / 6) ** (75 - m));
+        expect(doubled.probability(300)).toBeCloseTo(twice.reduce((a, b) => a + b), 12);
+        expect(distribution('100d6t1kl50').probability(50)).toBeCloseTo(twice.reduce((a, b) => a + b), 12);
+    });
+
+    it('refuses distributions which would take too long', () => {
+        const expr = 'd6 + 64d{1,2,4,8,16,32,64,128,256,512,1000}';
+        expect(() => distribution(expr)).toThrowError(DistributionTooComplexError);
+        const error = thrown(() => distribution(expr));
+        expect([error.offset, error.token, error.limit]).toEqual([5, expr.slice(5), 1e8]);
+    });
+
+    it('enforces the same rules as parse', () => {
+        expect(() => distribution('2d6x')).toThrowError(InvalidChunkError);
+        expect(() => distribution('101d6')).toThrowError(TooManyDiceError);
+    });
+});
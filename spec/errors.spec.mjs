@@ -0,0 +1,149 @@
+import {
+    parse,
+    distribution,
+    DiceError,
+    DieTooBigError,
+    DivisionByZeroError,
+    ExpressionTooLongError,
+    ImpossibleConditionError,
+    InvalidChunkError,
+    RollLimitExceededError,
+    TooManyChunksError,
+    TooManyDiceError,
+} from '../src/index.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+const details = ({ code, offset, length, token, limit, actual }) => ({ code, offset, length, token, limit, actual });
+
+describe('Error', () => {
+    it('remains compatible with plain errors', () => {
+        const error = new InvalidChunkError('bad');
+        expect(error).toEqual(jasmine.any(Error));
+        expect(error).toEqual(jasmine.any(DiceError));
+        expect(error.message).toBe('bad');
+        expect(details(error)).toEqual({
+            code: 'INVALID_CHUNK',
+            offset: undefined,
+            length: undefined,
+            token: undefined,
+            limit: undefined,
+            actual: undefined,
+        });
+    });
+
+    it('has a code for each class', () => {
+        expect([
+            ExpressionTooLongError, InvalidChunkError, DieTooBigError, TooManyDiceError, RollLimitExceededError,
+            TooManyChunksError, DivisionByZeroError, ImpossibleConditionError,
+        ].map(type => new type('').code)).toEqual([
+            'EXPRESSION_TOO_LONG', 'INVALID_CHUNK', 'DIE_TOO_BIG', 'TOO_MANY_DICE', 'ROLL_LIMIT_EXCEEDED',
+            'TOO_MANY_CHUNKS', 'DIVISION_BY_ZERO', 'IMPOSSIBLE_CONDITION',
+        ]);
+    });
+
+    describe('location', () => {
+        it('covers invalid parts of the original expression', () => {
+            expect(details(thrown(() => parse('2d6 + X y z + 3')))).toEqual(jasmine.objectContaining({
+                code: 'INVALID_CHUNK',
+                offset: 6,
+                length: 5,
+                token: 'X y z',
+            }));
+        });
+
+        it('covers unexpected tokens', () => {
+            expect(details(thrown(() => parse('2d6 + ) ')))).toEqual(jasmine.objectContaining({
+                offset: 6,
+                length: 1,
+                token: ')',
+            }));
+            expect(details(thrown(() => parse('(2d6 + 3')))).toEqual(jasmine.objectContaining({
+                offset: 8,
+                length: 0,
+                token: '',
+            }));
+        });
+
+        it('covers chunks which exceed dice limits', () => {
+            expect(details(thrown(() => parse('1 + 101 d6')))).toEqual({
+                code: 'TOO_MANY_DICE',
+                offset: 4,
+                length: 6,
+                token: '101 d6',
+                limit: 100,
+                actual: 101,
+            });
+            expect(details(thrown(() => parse('1 + 2D2000')))).toEqual({
+                code: 'DIE_TOO_BIG',
+                offset: 4,
+                length: 6,
+                token: '2D2000',
+                limit: 1000,
+                actual: 2000,
+            });
+            expect(details(thrown(() => parse('d6rr<7')))).toEqual(jasmine.objectContaining({
+                code: 'IMPOSSIBLE_CONDITION',
+                offset: 0,
+                length: 6,
+            }));
+        });
+
+        it('covers the first chunk over the chunk limit', () => {
+            expect(details(thrown(() => parse('1+2+3+4+5+6+7+8+9+10+11')))).toEqual({
+                code: 'TOO_MANY_CHUNKS',
+                offset: 21,
+                length: 2,
+                token: '11',
+                limit: 10,
+                actual: 11,
+            });
+        });
+
+        it('covers the excess of an expression which is too long', () => {
+            const expr = `${'1+'.repeat(30)}12`;
+            expect(details(thrown(() => parse(expr)))).toEqual({
+                code: 'EXPRESSION_TOO_LONG',
+                offset: 60,
+                length: 2,
+                token: '12',
+                limit: 60,
+                actual: 62,
+            });
+        });
+
+        it('covers chunks which exceed the roll limit when rolled', () => {
+            const roll = parse('2 + 1d1!');
+            expect(details(thrown(() => roll()))).toEqual({
+                code: 'ROLL_LIMIT_EXCEEDED',
+                offset: 4,
+                length: 4,
+                token: '1d1!',
+                limit: 100,
+                actual: 101,
+            });
+        });
+
+        it('covers the divisor when dividing by zero', () => {
+            const roll = parse('5 / (dF + 1)', { rng: sequence([1]) });
+            expect(details(thrown(() => roll()))).toEqual(jasmine.objectContaining({
+                code: 'DIVISION_BY_ZERO',
+                offset: 5,
+                length: 6,
+                token: 'dF + 1',
+            }));
+        });
+
+        it('is given by distributions', () => {
+            expect(details(thrown(() => distribution('1 + 101d6')))).toEqual(jasmine.objectContaining({
+                offset: 4,
+                length: 5,
+            }));
+            expect(details(thrown(() => distribution('1/(d1-1)')))).toEqual(jasmine.objectContaining({
+                code: 'DIVISION_BY_ZERO',
+                offset: 0,
+                length: 8,
+            }));
+        });
+    });
+});
@@ -0,0 +1,129 @@
+import { parse, parseAst, format, createParser, distribution, ExpressionTooLongError } from '../src/index.js';
+import { seeded } from '../src/random.js';
+
+const EXPRESSIONS = [
+    '  2 D 6+ 3 -1',
+    'd%',
+    '4d6kh',
+    '1d20r',
+    '3 - d6',
+    '1 - (d6 + 2)',
+    '-(d6 * 2)',
+    'd6 * -2',
+    '-d6 / 2',
+    '2 * 3 * d6',
+    'floor(7 / 2) + d4',
+    'floor(d6 / 2 + 1 / 2)',
+    'd6 - (d4 - d8)',
+    'd4 + (-d6) * 2',
+    'd4 * (d6 / 2)',
+    '(d4 * d6) / 2',
+    '4dF',
+    '10d10!>=8',
+    '6d10f',
+    'd6!!',
+    'd6!p',
+    'd20rr<3',
+    '4d6dl',
+];
+
+describe('format', () => {
+    it('normalizes case, spacing and dice counts', () => {
+        expect(format('  2 D 6+ 3 -1')).toBe('2d6 + 2');
+        expect(format('D20')).toBe('1d20');
+        expect(format('d%')).toBe('1d100');
+        expect(format('4DF')).toBe('4df');
+    });
+
+    it('makes default modifier arguments explicit', () => {
+        expect(format('4d6kh')).toBe('4d6kh1');
+        expect(format('1d20r')).toBe('1d20r1');
+        expect(format('d6!')).toBe('1d6!6');
+        expect(format('d6!!')).toBe('1d6!!6');
+        expect(format('d6!p')).toBe('1d6!p6');
+        expect(format('6d10f')).toBe('6d10f1');
+        expect(format('4d6dl')).toBe('4d6dl1');
+    });
+
+    it('keeps compare points and targets', () => {
+        expect(format('10d10!>=8')).toBe('10d10!>=8');
+        expect(format('10d10r<3>=8f<2')).toBe('10d10r<3>=8f<2');
+        expect(format('d20rr=3')).toBe('1d20rr3');
+    });
+
+    it('folds constants together, after the other terms', () => {
+        expect(format('3 + d6 - 1')).toBe('1d6 + 2');
+        expect(format('3 - d6')).toBe('-1d6 + 3');
+        expect(format('1 - (d6 + 2)')).toBe('-1d6 - 1');
+        expect(format('2 * 3 * d6')).toBe('6 * 1d6');
+        expect(format('floor(7 / 2) + d4')).toBe('1d4 + 3');
+        expect(format('3 - 5')).toBe('-2');
+        expect(format('d6 + 2 - 2')).toBe('1d6');
+    });
+
+    it('rounds folded divisions as the parser does', () => {
+        expect(format('7 / 2')).toBe('3');
+        expect(createParser({ rounding: 'ceil' }).format('7 / 2')).toBe('4');
+        expect(format('floor(d6 / 2 + 1 / 2)')).toBe('floor(1d6 / 2 + 1 / 2)');
+    });
+
+    it('leaves divisions by zero alone', () => {
+        expect(format('1/0')).toBe('1 / 0');
+        expect(format('d6/0')).toBe('1d6 / 0');
+    });
+
+    it('adds only the parentheses that are needed', () => {
+        expect(format('(d6+d4)*2')).toBe('(1d6 + 1d4) * 2');
+        expect(format('(d4*d6)/2')).toBe('1d4 * 1d6 / 2');
+        expect(format('d4*(d6/2)')).toBe('1d4 * (1d6 / 2)');
+        expect(format('d6-(d4-d8)')).toBe('1d6 - 1d4 + 1d8');
+        expect(format('d4+(-d6)*2')).toBe('1d4 + (-1d6) * 2');
+        expect(format('-(d6*2)')).toBe('-(1d6 * 2)');
+    });
+
+    it('formats syntax trees and their nodes', () => {
+        const ast = parseAst('2 * (D6 + 1)');
+        expect(format(ast)).toBe('2 * (1d6 + 1)');
+        expect(format(ast.body.right)).toBe('1d6 + 1');
+        ast.body.right.left = { ...ast.body.right.left, num: 3 };
+        expect(format(ast)).toBe('2 * (3d6 + 1)');
+    });
+
+    it('moves constants after the other terms of a sum', () => {
+        const terms = expr => parse(expr, { rng: seeded(1) })(false);
+        expect(terms(format('3 - d6'))).toEqual(terms('3 - d6').reverse());
+    });
+
+    it('shortens text which would be too long to parse', () => {
+        const expr = 'd6r+d6r+d6r+d6r+d6r+d6r+d6r+d6r+d6r+d6r';
+        expect(format(expr)).toBe('d6r1+d6r1+d6r1+d6r1+d6r1+d6r1+d6r1+d6r1+d6r1+d6r1');
+        expect(format('{d6, d8}kh + 4d6kh@k + d6r + d6r + d6r + d6r + d6r + d6r'))
+            .toBe('{d6,d8}kh1+4d6kh@k + d6r1+d6r1+d6r1+d6r1+d6r1+d6r1');
+        const parser = createParser({ maxLength: 12 });
+        expect(parser.format('d6 + d8 + 1')).toBe('d6+d8+1');
+        expect(() => parser.format(parseAst('d6r+d8r+d4r'))).toThrowError(ExpressionTooLongError);
+    });
+
+    it('is stable', () => {
+        EXPRESSIONS.forEach(expr => expect(format(format(expr))).toBe(format(expr)));
+    });
+
+    it('rolls the same way as the original expression', () => {
+        EXPRESSIONS.forEach(expr => {
+            const original = parse(expr, { rng: seeded(7) });
+            const formatted = parse(format(expr), { rng: seeded(7) });
+            for (let i = 0; i < 20; i++) {
+                expect(formatted()).withContext(expr).toBe(original());
+            }
+        });
+    });
+
+    it('has the same distribution as the original expression', () => {
+        EXPRESSIONS.forEach(expr => {
+            const { probabilities } = distribution(expr);
+            const formatted = distribution(format(expr)).probabilities;
+            expect([...formatted.keys()]).withContext(expr).toEqual([...probabilities.keys()]);
+            probabilities.forEach((p, total) => expect(formatted.get(total)).withContext(expr).toBeCloseTo(p, 12));
+        });
+    });
+});
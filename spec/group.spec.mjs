@@ -0,0 +1,118 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    distribution,
+    createParser,
+    DiceError,
+    TooManyDiceError,
+} from '../src/index.js';
+import { formatDetail } from '../src/cli.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+describe('Group', () => {
+    it('adds the totals of its members', () => {
+        expect(parse('{d6, d8} + 2', { rng: sequence([3, 5]) })()).toBe(10);
+        expect(parse('{2, 3 * 4}')()).toBe(14);
+        expect(parse('-{d6, 1}', { rng: sequence([4]) })()).toBe(-5);
+    });
+
+    it('keeps and drops members by their totals', () => {
+        expect(parse('{1d20+5, 1d12+3}kh1', { rng: sequence([10, 12]) })()).toBe(15);
+        expect(parse('{1d20+5, 1d12+3}kl1', { rng: sequence([10, 12]) })()).toBe(15);
+        expect(parse('{1d20+5, 1d12+3}kl1', { rng: sequence([1, 12]) })()).toBe(6);
+        expect(parse('{4d6, 4d6, 4d6}dl1', { rng: sequence([6, 6, 6, 6, 1, 1, 1, 1, 5, 5, 5, 5]) })()).toBe(44);
+        expect(parse('{d6, d6, d6}dh1 kh1', { rng: sequence([2, 4, 6]) })()).toBe(4);
+    });
+
+    it('has default keep and drop arguments', () => {
+        expect(parse('{d6, d8}kh', { rng: sequence([2, 7]) })()).toBe(7);
+        expect(parseAst('{d6, d6, d6}dl').body.modifiers[0].arg).toBe(1);
+    });
+
+    it('takes keep and drop arguments from the context', () => {
+        expect(parse('{d6, d6, d6}kh@k', { rng: sequence([2, 4, 6]) })({ k: 2 })).toBe(10);
+    });
+
+    it('marks the chunks of dropped members', () => {
+        const detail = parse('{1d20+5, 1d12+3}kh1', { rng: sequence([10, 1]) }).detail();
+        expect(detail.total).toBe(15);
+        expect(detail.chunks.map(({ text, dropped }) => [text, Boolean(dropped)])).toEqual([
+            ['1d20', false],
+            ['5', false],
+            ['1d12', true],
+            ['3', true],
+        ]);
+        expect(formatDetail(detail)).toBe('15  1d20 [10]  (1d12 [1])');
+    });
+
+    it('counts dice across its members', () => {
+        const parser = createParser({ maxDice: 10 });
+        expect(() => parser.parse('{5d6, 5d6}')).not.toThrow();
+        const error = thrown(() => parser.parse('1 + {5d6, 6d6}kh1'));
+        expect(error).toBeInstanceOf(TooManyDiceError);
+        expect([error.offset, error.length]).toEqual([4, 13]);
+    });
+
+    it('is formatted and simplified', () => {
+        expect(format('{1D20+5 , 1d12+3}KH')).toBe('{1d20 + 5, 1d12 + 3}kh1');
+        expect(format('{4d6,4d6,4d6}dl1+2-1')).toBe('{4d6, 4d6, 4d6}dl1 + 1');
+        expect(format('-{d6, 2+2}')).toBe('-{1d6, 4}');
+        expect(format('{d6}kh@k dl1')).toBe('{1d6}kh@k dl1');
+    });
+
+    it('has a distribution', () => {
+        expect(distribution('{d6, d6}').probabilities).toEqual(distribution('2d6').probabilities);
+        const best = distribution('{d6, d6}kh1');
+        const expected = distribution('2d6kh1');
+        best.probabilities.forEach((p, total) => expect(p).toBeCloseTo(expected.probability(total), 12));
+        expect(distribution('{d4, d6}dl1').max).toBe(6);
+        expect(distribution('{d20+5, d12+3}kh1').mean).toBeCloseTo(16.1875, 10);
+        expect(() => distribution('{d6, d6}kh@k')).toThrowError(/"@k" has no value/);
+    });
+});
+
+describe('Repetition', () => {
+    it('rolls the expression a number of times', () => {
+        const roll = parse('3x 2d6kh1', { rng: sequence([1, 4, 6, 2, 3, 3]) });
+        expect(roll()).toEqual([4, 6, 3]);
+        expect(parse('2x d6 + 1', { rng: sequence([3, 5]) })(false)).toEqual([[[3], 1], [[5], 1]]);
+        expect(parse('2x d6', { rng: sequence([3, 5]) }).detail().map(({ total }) => total)).toEqual([3, 5]);
+        expect(parse('2x @a')({ a: 2 })).toEqual([2, 2]);
+    });
+
+    it('may directly precede its expression', () => {
+        const roll = parse('6x4d6kh3', { rng: sequence(Array.from({ length: 24 }, (_, i) => (i % 6) + 1)) });
+        expect(roll()).toEqual([9, 13, 15, 9, 13, 15]);
+        expect(parseAst('3X{D6,D8}KH1').body).toEqual(jasmine.objectContaining({ type: 'repeat', count: 3 }));
+        expect(parse('2xd6', { rng: sequence([3, 5]) })()).toEqual([3, 5]);
+        expect(parse('2x(1 + 2)')()).toEqual([3, 3]);
+        expect(parse('2x 6')()).toEqual([6, 6]);
+    });
+
+    it('is only allowed for the whole expression', () => {
+        expect(() => parse('1 + 6x d6')).toThrowError(DiceError);
+        expect(() => parse('(6x d6)')).toThrowError(DiceError);
+        expect(() => parse('6x6')).toThrowError(DiceError);
+        expect(parseAst('6X 4d6kh3').body).toEqual(jasmine.objectContaining({ type: 'repeat', count: 6, start: 0 }));
+    });
+
+    it('is limited', () => {
+        const parser = createParser({ maxDice: 10 });
+        expect(thrown(() => parser.parse('11x 1')).message).toMatch(/Too many repetitions/);
+        expect(thrown(() => parser.parse('3x 4d6')).message).toMatch(/Repetition rolls too many dice/);
+        expect(() => parser.parse('2x 5d6')).not.toThrow();
+    });
+
+    it('is formatted and compiled', () => {
+        expect(format('6X 4D6KH3')).toBe('6x 4d6kh3');
+        expect(format('3x 2+2')).toBe('3x 4');
+        expect(compile(parseAst('2x 3'))()).toEqual([3, 3]);
+    });
+
+    it('has the distribution of one repetition', () => {
+        expect(distribution('6x 4d6kh3').probabilities).toEqual(distribution('4d6kh3').probabilities);
+    });
+});
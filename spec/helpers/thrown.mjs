@@ -0,0 +1,14 @@
+/**
+ * Calls a function which should throw, giving what it threw so that specs can check its details.
+ *
+ * @param {Function} f The function.
+ * @returns {Error} The error thrown.
+ */
+export const thrown = f => {
+    try {
+        f();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected an error');
+};
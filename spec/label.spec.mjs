@@ -0,0 +1,92 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    tokenize,
+    distribution,
+    registerDie,
+    GENESYS_DICE,
+    InvalidChunkError,
+} from '../src/index.js';
+import { formatDetail } from '../src/cli.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+registerDie('boost', GENESYS_DICE.b);
+
+const attack = '1d8[slashing] + 3[slashing] + 2d6[fire] + 1';
+
+describe('Labels', () => {
+    it('give the subtotal of each label with the total', () => {
+        expect(parse(attack, { rng: sequence([5, 2, 3]) })()).toEqual({ total: 14, labels: { slashing: 8, fire: 5 } });
+        expect(parse('2d6[fire] - 1d4[fire]', { rng: sequence([3, 4, 2]) })())
+            .toEqual({ total: 5, labels: { fire: 5 } });
+    });
+
+    it('give the rolls of each label when unreduced', () => {
+        expect(parse(attack, { rng: sequence([5, 2, 3]) })(false)).toEqual({
+            total: [[5], 3, [2, 3], 1],
+            labels: { slashing: [[5], 3], fire: [[2, 3]] },
+        });
+    });
+
+    it('appear in detailed results', () => {
+        const detail = parse(attack, { rng: sequence([5, 2, 3]) }).detail();
+        expect(detail.labels).toEqual({ slashing: 8, fire: 5 });
+        expect(detail.chunks.map(({ text, label }) => [text, label])).toEqual([
+            ['1d8', 'slashing'],
+            ['3', 'slashing'],
+            ['2d6', 'fire'],
+            ['1', undefined],
+        ]);
+        expect(formatDetail(detail)).toBe('14 (8 slashing, 5 fire)  1d8 [5]  2d6 [2, 3]');
+        expect(parse('2d6').detail().labels).toBeUndefined();
+    });
+
+    it('keep their case and inner whitespace', () => {
+        const roll = parse('1D8 [ Cold  Iron ] + @STR [Str]', { rng: sequence([4]) });
+        expect(roll({ str: 2 }).labels).toEqual({ 'Cold  Iron': 4, Str: 2 });
+        const [, label] = tokenize('d6[ Fire ]');
+        expect(label).toEqual(jasmine.objectContaining({ type: 'label', label: 'Fire', start: 2, end: 10 }));
+        expect(parseAst('d6 [fire]').body).toEqual(jasmine.objectContaining({ label: 'fire', start: 0, end: 2 }));
+    });
+
+    it('follow calculations on a single label', () => {
+        expect(parse('floor(2d6[fire] / 2) + d4[cold]', { rng: sequence([3, 4, 2]) })().labels)
+            .toEqual({ fire: 3, cold: 2 });
+        expect(parse('2 * 3[fire]')().labels).toEqual({ fire: 6 });
+    });
+
+    it("can't combine different labels except by adding and subtracting", () => {
+        const error = thrown(() => parse('1 + (1d8[a] + 2d6[b]) * 2'));
+        expect(error).toBeInstanceOf(InvalidChunkError);
+        expect([error.offset, error.length]).toEqual([5, 20]);
+        expect(() => parse('{d6[a], d6[b]}kh1')).toThrowError(InvalidChunkError);
+    });
+
+    it('only follow chunks', () => {
+        expect(() => parse('(d6)[a]')).toThrowError(InvalidChunkError);
+        expect(() => parse('d6[a][b]')).toThrowError(InvalidChunkError);
+        expect(() => parse('d6[a[b]]')).toThrowError(InvalidChunkError);
+        expect(() => parse('d6[ ]')).toThrowError(InvalidChunkError, /empty label/);
+    });
+
+    it('work with repetitions, narrative dice and compiled trees', () => {
+        expect(parse('2x d6[a] + 1', { rng: sequence([1, 2]) })()).toEqual([
+            { total: 2, labels: { a: 1 } },
+            { total: 3, labels: { a: 2 } },
+        ]);
+        expect(parse('dboost[luck]', { rng: sequence([4]) })().labels).toEqual({ luck: { advantage: 1, success: 1 } });
+        expect(compile(parseAst('d6[a]'), { rng: sequence([3]) })()).toEqual({ total: 3, labels: { a: 3 } });
+    });
+
+    it('are kept when formatted', () => {
+        expect(format('1D8 [Slashing]+3[slashing] + 2 + 2')).toBe('1d8[Slashing] + 3[slashing] + 4');
+        expect(format('d6kh@k[f] - @str [x]')).toBe('1d6kh@k[f] - @str[x]');
+    });
+
+    it("don't change the distribution", () => {
+        expect(distribution('d6[fire] + 1').probabilities).toEqual(distribution('d6 + 1').probabilities);
+    });
+});
@@ -1,4 +1,7 @@
-import { parse, twice, reroll, dropHighest, dropLowest, explode, keepHighest, keepLowest, RollLimitExceededError } from '../src/fdice.js';
+import {
+    parse, twice, reroll, rerollUntil, dropHighest, dropLowest, explode, compound, penetrate, keepHighest, keepLowest,
+    ImpossibleConditionError, InvalidChunkError, RollLimitExceededError,
+} from '../src/fdice.js';
 import random from '../src/random.js';
 
 describe('Modifier', () => {
@@ -21,6 +24,51 @@ describe('Modifier', () => {
         });
     });
 
+    describe('chain', () => {
+        [
+            '4d6r1kh3', '8d10!t10', '4d6r1r2', '6d8!kl4kh2r5', '3dFt-1dl2', '4d6KH3r1', '2d20r1!',
+        ].forEach(expr => {
+            it(`will parse: ${expr}`, () => {
+                expect(() => parse(expr)).not.toThrow();
+            });
+        });
+
+        it('ends before the sign of the next chunk', () => {
+            const s = spyOn(random, 'die').and.returnValues(3, 4, 1, 5, 2);
+            expect(parse('d6r + d4')()).toBe(7);
+            // One failure, less the d4.
+            expect(parse('2d6f - d4')()).toBe(-3);
+            expect(s.calls.count()).toBe(5);
+        });
+
+        it('takes a sign followed by digits as its argument', () => {
+            spyOn(random, 'die').and.returnValues(1, 4);
+            // Rerolls the 1 and adds nothing.
+            expect(parse('d6r + 1')()).toBe(4);
+            expect(() => parse('dFr -1')).not.toThrow();
+        });
+
+        it('is applied left to right', () => {
+            const s = spyOn(random, 'die').withArgs(6).and.returnValues(1, 4, 2, 6, 5);
+            // Rolls 1, 4, 2, 6; the 1 is rerolled as a 5, then the best three are kept: 6 + 5 + 4.
+            expect(parse('4d6r1kh3')()).toBe(15);
+            expect(s.calls.count()).toBe(5);
+        });
+
+        it('applies each modifier to the rolls produced by the last', () => {
+            const s = spyOn(random, 'die').withArgs(10).and.returnValues(10, 3, 2);
+            // The 10 explodes into a 2, then the 10 is counted twice.
+            expect(parse('2d10!t10')(false)).toEqual([[10, 10, 2, 3]]);
+            expect(s.calls.count()).toBe(3);
+        });
+
+        it('counts every modifier towards the roll limit', () => {
+            const s = spyOn(random, 'die').withArgs(2).and.returnValues(...new Array(60).fill(2), ...new Array(60).fill(1));
+            // The first explosion adds 60 dice to the pool, leaving too few rolls for the second.
+            expect(parse('1d2!2!1')).toThrowError(RollLimitExceededError);
+        });
+    });
+
     it('is applied', () => {
         const s = spyOn(random, 'die').withArgs(10).and.returnValues(3, 1, 8, 10);
         const dice = parse('4d10t10');
@@ -50,6 +98,21 @@ describe('Modifier', () => {
         });
     });
 
+    describe('reroll until valid', () => {
+        it('is calculated correctly', () => {
+            const mockReroll = jasmine.createSpy().and.returnValues([1], [1], [4], [6]);
+            const f = rerollUntil(1, mockReroll);
+            const result = f([1, 2, 3, 1]);
+            expect(result).toEqual([4, 2, 3, 6]);
+            expect(mockReroll.calls.count()).toBe(4);
+        });
+
+        it('is limited by the roll limit', () => {
+            const f = rerollUntil(1, () => [1], { maxExplosions: 10 });
+            expect(() => f([1, 2])).toThrowError(RollLimitExceededError);
+        });
+    });
+
     describe('keep highest', () => {
         it('is calculated correctly', () => {
             const reroll = jasmine.createSpy();
@@ -105,6 +168,92 @@ describe('Modifier', () => {
         });
     });
 
+    describe('compounding explode', () => {
+        it('is calculated correctly', () => {
+            const reroll = jasmine.createSpy().and.returnValues([10], [9], [10], [2]);
+            const f = compound(10, reroll);
+            // The first 10 compounds to 10 + 10 + 10 + 2, the second to 10 + 9.
+            expect(f([1, 10, 10])).toEqual([1, 32, 19]);
+            expect(reroll.calls.count()).toBe(4);
+        });
+
+        it('shows a single value when unreduced', () => {
+            const s = spyOn(random, 'die').withArgs(6).and.returnValues(6, 3, 6, 4);
+            expect(parse('2d6!!')(false)).toEqual([[16, 3]]);
+        });
+
+        it('is limited by the roll limit', () => {
+            expect(() => compound(1, () => [1], { maxExplosions: 10 })([1])).toThrowError(RollLimitExceededError);
+        });
+    });
+
+    describe('penetrating explode', () => {
+        it('is calculated correctly', () => {
+            const reroll = jasmine.createSpy().and.returnValues([6], [6], [3]);
+            const f = penetrate(6, reroll);
+            // The added dice explode on a roll of 6 even though they count as 5.
+            expect(f([6, 2])).toEqual([6, 5, 5, 2, 2]);
+            expect(reroll.calls.count()).toBe(3);
+        });
+
+        it('is limited by the roll limit', () => {
+            expect(() => penetrate(1, () => [1], { maxExplosions: 10 })([1])).toThrowError(RollLimitExceededError);
+        });
+    });
+
+    describe('compare point', () => {
+        [
+            'd20r<3', 'd20r<=2', 'd20r>19', 'd20r>=19', 'd20r=1', // reroll
+            'd20rr<3', 'd20rr', 'd20rr1', 'd20RR>=19', // reroll until valid
+            'd10t>=9', 'd10!>=9', 'd10!>9', '4dF!>=+1', '4dFr<0', // twice and explode
+            'd6!!', 'd6!!5', 'd6!!>=5', 'd6!p', 'd6!P5', 'd6!p>4', '3dF!!', // compounding and penetrating explode
+            'd10!>=9>=8', '4d6rr<3kh3', // with other modifiers and targets
+        ].forEach(expr => {
+            it(`will parse: ${expr}`, () => {
+                expect(() => parse(expr)).not.toThrow();
+            });
+        });
+
+        ['d20r<', 'd20r=>3', 'd20r<>3', 'd20r='].forEach(expr => {
+            it(`is invalid: ${expr}`, () => {
+                expect(() => parse(expr)).toThrowError(InvalidChunkError);
+            });
+        });
+
+        it('is applied by reroll', () => {
+            const s = spyOn(random, 'die').withArgs(20).and.returnValues(1, 2, 3, 15, 1);
+            // The 1 and 2 are rerolled once, as a 15 and a 1.
+            expect(parse('3d20r<3')(false)).toEqual([[15, 1, 3]]);
+            expect(s.calls.count()).toBe(5);
+        });
+
+        it('is applied by twice', () => {
+            const s = spyOn(random, 'die').withArgs(10).and.returnValues(9, 10, 3);
+            expect(parse('3d10t>=9')()).toBe(41);
+        });
+
+        it('is applied by explode', () => {
+            const s = spyOn(random, 'die').withArgs(10).and.returnValues(9, 3, 10, 2);
+            // The 9 explodes into a 10, which explodes into a 2.
+            expect(parse('2d10!>=9')(false)).toEqual([[9, 10, 2, 3]]);
+            expect(s.calls.count()).toBe(4);
+        });
+
+        it('is applied by reroll until valid', () => {
+            const s = spyOn(random, 'die').withArgs(20).and.returnValues(1, 12, 2, 1, 2, 20);
+            // The 1 is rerolled until it isn't below 3, as a 20.
+            expect(parse('2d20rr<3')(false)).toEqual([[20, 12]]);
+            expect(s.calls.count()).toBe(6);
+        });
+
+        it('refuses to reroll every face until valid', () => {
+            ['d6rr<7', 'd6rr>=1', '1d1rr', '3dFrr>-2'].forEach(expr => {
+                expect(() => parse(expr)).toThrowError(ImpossibleConditionError, /rerolls every face/);
+            });
+            expect(() => parse('d6rr<6')).not.toThrow();
+        });
+    });
+
     describe('on special dice', () => {
         it('supports fudge dice', () => {
             // Aim to test that the 'special' range of a dF gets modified correctly.
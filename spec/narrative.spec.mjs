@@ -0,0 +1,96 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    distribution,
+    registerDie,
+    GENESYS_DICE,
+    InvalidChunkError,
+} from '../src/index.js';
+import { formatDetail } from '../src/cli.js';
+import { negateSymbols, tallySymbols } from '../src/narrative.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+// Single letters would change what other specs expect of chunks like "dA", so the dice get longer names here.
+registerDie('ability', GENESYS_DICE.a);
+registerDie('proficiency', GENESYS_DICE.p);
+registerDie('difficulty', GENESYS_DICE.d);
+registerDie('force', [{ dark: 1 }, { dark: 2 }, { light: 1 }, { light: 2 }]);
+
+describe('tallySymbols', () => {
+    it('cancels success with failure and advantage with threat', () => {
+        expect(tallySymbols([{ success: 2, advantage: 1 }, { failure: 1, threat: 3 }])).toEqual({ success: 1, threat: 2 });
+        expect(tallySymbols([{ success: 1 }, { failure: 1 }])).toEqual({});
+    });
+
+    it('keeps triumph and despair', () => {
+        expect(tallySymbols([{ success: 1, triumph: 1 }, { failure: 1, despair: 1 }])).toEqual({ despair: 1, triumph: 1 });
+    });
+
+    it('negates symbols into their opposites', () => {
+        expect(negateSymbols({ success: 1, triumph: 1, light: 2 })).toEqual({ despair: 1, failure: 1, light: -2 });
+    });
+});
+
+describe('Narrative dice', () => {
+    it('tally the symbols of a pool', () => {
+        expect(parse('2dability', { rng: sequence([4, 7]) })()).toEqual({ advantage: 1, success: 3 });
+        expect(parse('dforce + dforce', { rng: sequence([2, 3]) })()).toEqual({ dark: 2, light: 1 });
+    });
+
+    it('turn symbols into their opposites when subtracted', () => {
+        const check = '2dability + 1dproficiency - 2ddifficulty';
+        expect(parse(check, { rng: sequence([4, 5, 12, 2, 4]) })()).toEqual({ success: 2, triumph: 1 });
+        expect(parse('-dproficiency', { rng: sequence([12]) })()).toEqual({ despair: 1, failure: 1 });
+        expect(parse('-dforce', { rng: sequence([1]) })()).toEqual({ dark: -1 });
+    });
+
+    it('appear in unreduced results', () => {
+        const roll = parse('2dability - 1ddifficulty', { rng: sequence([4, 1, 7]) });
+        expect(roll(false)).toEqual([[{ success: 2 }, {}], [{ threat: 2 }]]);
+    });
+
+    it('appear in detailed results', () => {
+        const detail = parse('dability - ddifficulty', { rng: sequence([7, 2]) }).detail();
+        expect(detail.total).toEqual({ advantage: 1 });
+        expect(detail.chunks[0].dice[0]).toEqual(jasmine.objectContaining({ face: 7, symbols: { success: 1, advantage: 1 } }));
+        expect(detail.chunks.map(({ sign, subtotal }) => [sign, subtotal])).toEqual([
+            [1, { advantage: 1, success: 1 }],
+            [-1, { failure: 1 }],
+        ]);
+        expect(formatDetail(detail)).toBe('1 advantage  dability [success+advantage]  ddifficulty [failure]');
+    });
+
+    it('may be repeated and compiled', () => {
+        expect(parse('2x dability', { rng: sequence([1, 5]) })()).toEqual([{}, { advantage: 1 }]);
+        expect(compile(parseAst('dability'), { rng: sequence([2]) })()).toEqual({ success: 1 });
+    });
+
+    it('are only added to and subtracted from each other', () => {
+        ['dability + 1', '2 - dability', 'dability * 2', 'floor(dability)', '{dability, dforce}', 'd6 + dability']
+            .forEach(expr => expect(() => parse(expr)).withContext(expr).toThrowError(InvalidChunkError));
+        const error = thrown(() => parse('1 + floor(dability)'));
+        expect([error.offset, error.length]).toEqual([10, 8]);
+    });
+
+    it("can't be modified", () => {
+        expect(() => parse('2dabilitykh1')).toThrowError(InvalidChunkError, /narrative dice can't be modified/);
+    });
+
+    it('keep their names when formatted', () => {
+        expect(format('2DABILITY + dproficiency - 2ddifficulty')).toBe('2dability + 1dproficiency - 2ddifficulty');
+    });
+
+    it('have no distribution', () => {
+        expect(() => distribution('dability')).toThrowError(InvalidChunkError);
+    });
+});
+
+describe('registerDie', () => {
+    it('rejects invalid symbols', () => {
+        [[{ success: -1 }], [{ success: 1.5 }], [{ 'bad symbol': 1 }], [{ success: 1 }, 2]]
+            .forEach(faces => expect(() => registerDie('invalid', faces)).toThrowError(TypeError));
+    });
+});
@@ -0,0 +1,65 @@
+import { createParser, parse, DieTooBigError, ExpressionTooLongError, RollLimitExceededError, TooManyChunksError, TooManyDiceError } from '../src/fdice.js';
+import { createDistribution } from '../src/distribution.js';
+import { sequence } from '../src/random.js';
+
+describe('Parser', () => {
+    it('uses the default limits', () => {
+        const { limits } = createParser();
+        expect(limits).toEqual({ maxChunks: 10, maxDice: 100, maxFaces: 1000, maxLength: 60, maxExplosions: 100 });
+    });
+
+    it('can relax limits', () => {
+        const gm = createParser({ maxDice: 200, maxFaces: 10000 });
+        expect(() => gm.parse('200d6')).not.toThrow();
+        expect(() => gm.parse('d10000')).not.toThrow();
+    });
+
+    it('can tighten limits', () => {
+        const bot = createParser({ maxDice: 10, maxFaces: 20, maxChunks: 2, maxLength: 10 });
+        expect(() => bot.parse('11d6')).toThrowError(TooManyDiceError);
+        expect(() => bot.parse('d100')).toThrowError(DieTooBigError);
+        expect(() => bot.parse('1+1+1')).toThrowError(TooManyChunksError);
+        expect(() => bot.parse('10d6 + 10d6')).toThrowError(ExpressionTooLongError);
+        expect(() => bot.parse('10d20+5')).not.toThrow();
+    });
+
+    it('limits explosions', () => {
+        const roll = createParser({ maxExplosions: 3 }).parse('d2!', { rng: sequence([2, 2, 2, 1]) });
+        expect(roll).toThrowError(RollLimitExceededError);
+        expect(createParser({ maxExplosions: 5 }).parse('d2!', { rng: sequence([2, 2, 2, 1]) })()).toBe(7);
+    });
+
+    it('limits explosions to the dice limit by default', () => {
+        expect(createParser({ maxDice: 200 }).limits.maxExplosions).toBe(200);
+        expect(createParser({ maxDice: 200, maxExplosions: 50 }).limits.maxExplosions).toBe(50);
+    });
+
+    it('rejects invalid limits', () => {
+        expect(() => createParser({ maxDice: -5 })).toThrowError(TypeError, 'Invalid maxDice: -5');
+        expect(() => createParser({ maxDice: '200' })).toThrowError(TypeError, 'Invalid maxDice: 200');
+        [1.5, NaN, null, -Infinity].forEach(maxLength => expect(() => createParser({ maxLength }))
+            .withContext(String(maxLength)).toThrowError(TypeError));
+        expect(createParser({ maxFaces: Infinity, maxChunks: 0 }).limits.maxFaces).toBe(Infinity);
+    });
+
+    it('has its own cache', () => {
+        expect(() => createParser({ maxDice: 200 }).parse('150d6')).not.toThrow();
+        expect(() => parse('150d6')).toThrowError(TooManyDiceError);
+        expect(() => createParser({ maxDice: 10 }).parse('50d6')).toThrowError(TooManyDiceError);
+        expect(() => parse('50d6')).not.toThrow();
+    });
+
+    it('can have a default random source', () => {
+        const { parse } = createParser({ rng: sequence([1, 2, 3, 4]) });
+        expect(parse('2d6')()).toBe(3);
+        expect(parse('2d6', { rng: sequence([6, 6]) })()).toBe(12);
+    });
+
+    it('applies its limits to distributions', () => {
+        const distribution = createDistribution(createParser({ maxDice: 200, maxExplosions: 3 }));
+        expect(distribution('200d2').max).toBe(400);
+        // Only two explosions fit within the limit, so a third 2 exceeds it.
+        expect(distribution('1d2!').max).toBe(5);
+        expect(distribution('1d2!').failure).toBeCloseTo(1 / 8, 12);
+    });
+});
@@ -0,0 +1,153 @@
+import {
+    parse,
+    createParser,
+    createDistribution,
+    registerModifier,
+    InvalidChunkError,
+    RollLimitExceededError,
+} from '../src/index.js';
+import { formatDetail } from '../src/cli.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+// Raises kept dice below the argument to it.
+const lift = {
+    token: 'lift',
+    defaultArg: ({ lowest }) => lowest + 1,
+    apply: (dice, { arg }) => dice.map(d => d.kept && d.face < arg ? { ...d, face: arg, raised: true } : d),
+};
+
+// Rolls another die for each kept die which matches the argument, without further explosions.
+const again = {
+    token: 'again',
+    argGrammar: 'compare',
+    defaultArg: ({ highest }) => highest,
+    apply: (dice, { matches, roll, createDie }) =>
+        dice.flatMap(d => matches(d) ? [d, createDie(roll(), { added: true })] : [d]),
+};
+
+// Drops every kept die; the pool then totals 0.
+const none = {
+    token: 'none',
+    argGrammar: 'none',
+    apply: dice => dice.map(d => ({ ...d, kept: false, dropped: true })),
+};
+
+describe('Custom modifier', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = createParser({ maxDice: 5 });
+        [lift, again, none].forEach(parser.registerModifier);
+    });
+
+    it('modifies the dice of a pool', () => {
+        expect(parser.parse('4d6lift3', { rng: sequence([1, 2, 5, 6]) })()).toBe(17);
+        expect(parser.parse('2d6again>=5', { rng: sequence([5, 6, 2, 3]) })()).toBe(16);
+        expect(parser.parse('2D6 NONE + 1', { rng: sequence([5, 6]) })()).toBe(1);
+    });
+
+    it('is chained with built-in modifiers and targets', () => {
+        expect(parser.parse('4d6lift3kh3', { rng: sequence([1, 2, 5, 6]) })()).toBe(14);
+        expect(parser.parse('3d6r1lift3>=3', { rng: sequence([1, 2, 2, 6]) })()).toBe(3);
+    });
+
+    it('has a default argument', () => {
+        const [raise, roll] = parser.parseAst('d{0,0,1,1,2,3}lift again').body.modifiers;
+        expect(raise).toEqual(jasmine.objectContaining({ func: 'LIFT', arg: 1, custom: true }));
+        expect(roll.arg).toBe(3);
+        expect(parser.parse('@n d6lift', { rng: sequence([1]) })({ n: 1 })).toBe(2);
+    });
+
+    it('takes its argument from the context', () => {
+        expect(parser.parse('2d6lift@m', { rng: sequence([1, 5]) })({ m: 4 })).toBe(9);
+    });
+
+    it('counts further rolls towards the roll limit', () => {
+        expect(parser.parse('5d6again1', { rng: sequence([2, 2, 2, 2, 2]) })()).toBe(10);
+        const error = thrown(() => parser.parse('1 + 5d6again6', { rng: sequence([6, 1, 1, 1, 1]) })());
+        expect(error).toBeInstanceOf(RollLimitExceededError);
+        expect([error.limit, error.actual, error.offset, error.length]).toEqual([5, 6, 4, 9]);
+    });
+
+    it('appears in detailed results', () => {
+        const detail = parser.parse('3d6lift3kh2', { rng: sequence([1, 4, 2]) }).detail();
+        expect(detail.total).toBe(7);
+        expect(detail.chunks[0].dice.map(({ face, original, raised }) => [face, original, Boolean(raised)])).toEqual([
+            [4, 4, false],
+            [3, 1, true],
+            [3, 2, true],
+        ]);
+        expect(formatDetail(detail)).toBe('7  3d6lift3kh2 [4, 3, (3)]');
+    });
+
+    it('is formatted with its argument', () => {
+        expect(parser.format('4D6 LIFT KH3')).toBe('4d6lift2kh3');
+        expect(parser.format('d6again>5 none')).toBe('1d6again>5none');
+        expect(parser.format('d6lift@m kh1')).toBe('1d6lift@m kh1');
+    });
+
+    it('has no distribution', () => {
+        const error = thrown(() => createDistribution(parser)('1 + 2d6lift3'));
+        expect(error).toBeInstanceOf(InvalidChunkError);
+        expect([error.offset, error.length]).toEqual([7, 5]);
+    });
+
+    it('belongs to the parser it is registered with', () => {
+        expect(() => createParser().parse('4d6lift3')).toThrowError(InvalidChunkError);
+        expect(() => parse('4d6lift3')).toThrowError(InvalidChunkError);
+        const other = createParser();
+        other.registerModifier({ ...lift, defaultArg: 6 });
+        expect(other.parse('2d6lift', { rng: sequence([1, 2]) })()).toBe(12);
+        expect(parser.parse('2d6lift', { rng: sequence([1, 2]) })()).toBe(4);
+    });
+
+    it('may be registered with the default parser', () => {
+        const double = dice => dice.map(d => ({ ...d, face: d.face * 2, doubled: true }));
+        registerModifier({ token: 'double', argGrammar: 'none', apply: double });
+        expect(parse('2d6double', { rng: sequence([1, 3]) })()).toBe(8);
+    });
+
+    it('must return a list of dice', () => {
+        parser.registerModifier({ token: 'broken', apply: () => 3 });
+        expect(() => parser.parse('d6broken')()).toThrowError(TypeError);
+    });
+});
+
+describe('registerModifier', () => {
+    const parser = createParser();
+    const register = options => () => parser.registerModifier({ apply: dice => dice, ...options });
+
+    it('rejects invalid tokens', () => {
+        ['', 'x1', 'a-b', 42, undefined].forEach(token =>
+            expect(register({ token })).withContext(String(token)).toThrowError(TypeError));
+    });
+
+    it('rejects tokens which are taken', () => {
+        register({ token: 'cap' })();
+        ['CAP', 'r', 'ro', 'khx', 'fail', 't'].forEach(token =>
+            expect(register({ token })).withContext(token).toThrowError(TypeError, /taken/));
+    });
+
+    it('rejects reserved words and their beginnings', () => {
+        ['vs', 'v', 'max', 'mi', 'ceiling', 'clampx', 'abs', 'x', 'xy'].forEach(token =>
+            expect(register({ token })).withContext(token).toThrowError(TypeError, /reserved/));
+        expect(() => parser.parse('1d6 vs 1d6')).not.toThrow();
+        expect(() => parser.parse('max(d6, 2)')).not.toThrow();
+    });
+
+    it('clears the cache', () => {
+        const other = createParser();
+        other.parse('2d6 + 1');
+        expect(other.cacheStats().size).toBe(1);
+        other.registerModifier({ token: 'up', apply: dice => dice });
+        expect(other.cacheStats().size).toBe(0);
+    });
+
+    it('rejects invalid grammars, defaults and apply functions', () => {
+        expect(register({ token: 'aa', argGrammar: 'word' })).toThrowError(TypeError);
+        expect(register({ token: 'ae', defaultArg: 1.5 })).toThrowError(TypeError);
+        expect(register({ token: 'ac', argGrammar: 'none', defaultArg: 1 })).toThrowError(TypeError);
+        expect(register({ token: 'ad', apply: undefined })).toThrowError(TypeError);
+    });
+});
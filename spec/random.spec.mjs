@@ -0,0 +1,87 @@
+import { parse } from '../src/fdice.js';
+import random, { fromFloat, secure, seeded, sequence } from '../src/random.js';
+
+describe('Random source', () => {
+    it('defaults to the shared source', () => {
+        const s = spyOn(random, 'die').withArgs(6).and.returnValues(2, 5);
+        expect(parse('2d6')()).toBe(7);
+        expect(s.calls.count()).toBe(2);
+    });
+
+    it('can be passed to parse', () => {
+        const s = spyOn(random, 'die');
+        const roll = parse('2d6+1', { rng: sequence([3, 4]) });
+        expect(roll(false)).toEqual([[3, 4], 1]);
+        expect(s).not.toHaveBeenCalled();
+    });
+
+    it('is used for rolls made by modifiers', () => {
+        expect(parse('2d6!', { rng: sequence([6, 2, 6, 1]) })(false)).toEqual([[6, 6, 1, 2]]);
+        expect(parse('2d6r1', { rng: sequence([1, 2, 4]) })(false)).toEqual([[4, 2]]);
+    });
+
+    it('is independent for each roll function of one expression', () => {
+        const a = parse('3d20', { rng: sequence([1, 2, 3]) });
+        const b = parse('3d20', { rng: sequence([4, 5, 6]) });
+        expect(a()).toBe(6);
+        expect(b()).toBe(15);
+    });
+
+    describe('seeded', () => {
+        it('is repeatable', () => {
+            const a = parse('10d20', { rng: seeded(42) });
+            const b = parse('10d20', { rng: seeded(42) });
+            for (let i = 0; i < 10; i++) {
+                expect(a(false)).toEqual(b(false));
+            }
+        });
+
+        it('differs between seeds', () => {
+            expect(parse('10d20', { rng: seeded(1) })(false)).not.toEqual(parse('10d20', { rng: seeded(2) })(false));
+        });
+
+        it('rolls every face', () => {
+            const rng = seeded(7);
+            const seen = new Set(new Array(200).fill(0).map(() => rng.die(6)));
+            expect([...seen].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+        });
+    });
+
+    describe('sequence', () => {
+        it('fails when exhausted', () => {
+            expect(parse('2d6', { rng: sequence([1]) })).toThrowError(RangeError);
+        });
+
+        it('fails when a roll is not possible', () => {
+            expect(parse('d6', { rng: sequence([7]) })).toThrowError(RangeError);
+        });
+    });
+
+    describe('fromFloat', () => {
+        it('maps the unit interval to faces', () => {
+            expect(fromFloat(() => 0).die(6)).toBe(1);
+            expect(fromFloat(() => 0.999).die(6)).toBe(6);
+        });
+    });
+
+    describe('secure', () => {
+        it('uses the given crypto implementation', () => {
+            const crypto = { getRandomValues: buffer => buffer.fill(4) };
+            expect(secure(crypto).die(6)).toBe(5);
+        });
+
+        it('discards biased values', () => {
+            const values = [4294967295, 9];
+            const crypto = { getRandomValues: buffer => buffer.fill(values.shift()) };
+            expect(secure(crypto).die(10)).toBe(10);
+        });
+
+        it('rolls within range', () => {
+            const rng = secure();
+            for (let i = 0; i < 100; i++) {
+                expect(rng.die(20)).toBeGreaterThanOrEqual(1);
+                expect(rng.die(20)).toBeLessThanOrEqual(20);
+            }
+        });
+    });
+});
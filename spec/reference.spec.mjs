@@ -0,0 +1,124 @@
+import {
+    parse,
+    parseAst,
+    compile,
+    format,
+    distribution,
+    createParser,
+    InvalidReferenceError,
+    MissingReferenceError,
+    TooManyChunksError,
+    TooManyDiceError,
+} from '../src/index.js';
+import { sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+describe('Reference', () => {
+    it('adds a value from the context', () => {
+        expect(parse('d20 + @str', { rng: sequence([10]) })({ str: 3 })).toBe(13);
+        expect(parse('d20 + @str + @prof', { rng: sequence([10]) })({ str: 3, prof: 2 })).toBe(15);
+    });
+
+    it('may be used in any arithmetic', () => {
+        expect(parse('@a * (@b - 1) / @c')({ a: 3, b: 5, c: 2 })).toBe(6);
+        expect(parse('-@a')({ a: 3 })).toBe(-3);
+        expect(parse('floor(@a / 2)')({ a: 2.5 })).toBe(1);
+    });
+
+    it('is not case sensitive', () => {
+        expect(parse('@STR')({ str: 3 })).toBe(3);
+        expect(parse('@str')({ Str: 4 })).toBe(4);
+        expect(parse('@str')({ STR: 4, str: 5 })).toBe(5);
+    });
+
+    it('gives the number of dice', () => {
+        expect(parse('@lvl d6', { rng: sequence([1, 2, 3]) })({ lvl: 3 })).toBe(6);
+        expect(parse('@lvl  d6 + 1', { rng: sequence([4]) })({ lvl: 1 })).toBe(5);
+        expect(parse('@lvl d6')({ lvl: 0 })).toBe(0);
+    });
+
+    it('gives modifier and target arguments', () => {
+        expect(parse('4d6kh@keep', { rng: sequence([1, 2, 3, 4]) })({ keep: 2 })).toBe(7);
+        expect(parse('4d6r@low', { rng: sequence([1, 2, 3, 4, 6]) })({ low: 1 })).toBe(15);
+        expect(parse('4d6r<@low kh3', { rng: sequence([1, 2, 3, 4, 6, 6]) })({ low: 3 })).toBe(16);
+        expect(parse('5d10>=@target', { rng: sequence([1, 8, 9, 10, 3]) })({ target: 8 })).toBe(3);
+        expect(parse('3d10!@x >=@t', { rng: sequence([10, 2, 8, 9]) })({ x: 10, t: 8 })).toBe(3);
+    });
+
+    it('applies default arguments which depend on the number of dice', () => {
+        expect(parse('@n d6kh', { rng: sequence([1, 2, 3, 4]) })({ n: 4 })).toBe(4);
+        expect(parse('@n d6kh', { rng: sequence([5]) })({ n: 1 })).toBe(0);
+    });
+
+    it('still allows whether to reduce to be given alone', () => {
+        expect(parse('2d6', { rng: sequence([1, 2]) })(false)).toEqual([[1, 2]]);
+        expect(parse('d6 + @a', { rng: sequence([4]) })({ a: 3 }, false)).toEqual([[4], 3]);
+    });
+
+    it('shows its value in the detail', () => {
+        const detail = parse('d6 - @a', { rng: sequence([4]) }).detail({ a: 3 });
+        expect(detail.total).toBe(1);
+        expect(detail.chunks[1]).toEqual({ text: '@a', sign: -1, value: 3, subtotal: -3 });
+    });
+
+    it('throws when it has no value', () => {
+        const error = thrown(() => parse('d20 + @str')());
+        expect(error).toEqual(jasmine.any(MissingReferenceError));
+        expect(error.code).toBe('MISSING_REFERENCE');
+        expect(error.message).toBe('"@str" has no value');
+        expect([error.offset, error.length, error.token]).toEqual([6, 4, '@str']);
+        expect(() => parse('@constructor')({})).toThrowError(MissingReferenceError);
+        const count = thrown(() => parse('2d6 + @n d6')({}));
+        expect([count.offset, count.token]).toEqual([6, '@n']);
+        const arg = thrown(() => parse('4d6kh@k')({}));
+        expect([arg.offset, arg.token]).toEqual([5, '@k']);
+    });
+
+    it('throws when its value is not usable', () => {
+        expect(() => parse('@a')({ a: '3' })).toThrowError(InvalidReferenceError);
+        expect(() => parse('@a')({ a: NaN })).toThrowError(InvalidReferenceError);
+        expect(() => parse('@a d6')({ a: 1.5 })).toThrowError(InvalidReferenceError);
+        expect(() => parse('@a d6')({ a: -1 })).toThrowError(InvalidReferenceError);
+        expect(() => parse('4d6kh@a')({ a: 1.5 })).toThrowError(InvalidReferenceError);
+        expect(thrown(() => parse('@a d6')({ a: -1 })).code).toBe('INVALID_REFERENCE');
+    });
+
+    it('checks dice limits once the values are known', () => {
+        const roll = parse('@n d6');
+        const error = thrown(() => roll({ n: 101 }));
+        expect(error).toEqual(jasmine.any(TooManyDiceError));
+        expect([error.offset, error.token]).toEqual([0, '@n d6']);
+        expect(roll({ n: 100 })).toBeGreaterThanOrEqual(100);
+    });
+
+    it('counts towards the number of chunks', () => {
+        const parser = createParser({ maxChunks: 2 });
+        expect(() => parser.parse('@a + @b + @c')).toThrowError(TooManyChunksError);
+    });
+
+    it('appears in syntax trees', () => {
+        const { body } = parseAst('@lvl d6kh@k + @Str');
+        expect(body.right).toEqual({ type: 'reference', name: 'str', start: 14, end: 18 });
+        expect(body.left.num).toEqual({ type: 'reference', name: 'lvl', start: 0, end: 4 });
+        expect(body.left.modifiers[0].arg).toEqual({ type: 'reference', name: 'k', start: 9, end: 11 });
+        expect(compile(parseAst('@a + 1'))({ a: 2 })).toBe(3);
+    });
+
+    it('is formatted', () => {
+        expect(format('@lvl D6 kh@k R@x >=@t + @STR - 3 + 1')).toBe('@lvl d6kh@k r@x >=@t + @str - 2');
+        expect(format('@n d6kh')).toBe('@n d6kh');
+        expect(format('2*-@x')).toBe('2 * -@x');
+    });
+
+    it('has no distribution', () => {
+        const error = thrown(() => distribution('d6 + @x'));
+        expect(error).toEqual(jasmine.any(MissingReferenceError));
+        expect([error.offset, error.token]).toEqual([5, '@x']);
+        expect(() => distribution('4d6kh@k')).toThrowError(MissingReferenceError);
+    });
+
+    it('must have a name', () => {
+        expect(() => parse('d6 + @')).toThrowError();
+        expect(() => parse('d6 + @1')).toThrowError();
+    });
+});
@@ -0,0 +1,137 @@
+import {
+    createParser,
+    createSimulation,
+    simulate,
+    registerDie,
+    DivisionByZeroError,
+    InvalidChunkError,
+    MissingReferenceError,
+    RollLimitExceededError,
+} from '../src/index.js';
+import { seeded, sequence } from '../src/random.js';
+import { thrown } from './helpers/thrown.mjs';
+
+registerDie('glyph', [{ success: 1 }, {}]);
+
+// Counts the totals of rolling an expression again and again with a roll function, as simulate should.
+const rolledHistogram = (parser, expr, count, options) => {
+    const roll = parser.parse(expr, options);
+    const histogram = new Map();
+    for (let i = 0; i < count; i++) {
+        const result = roll(options.context);
+        const total = typeof result === 'number' ? result : 'margin' in result ? result.margin : result.total;
+        histogram.set(total, (histogram.get(total) || 0) + 1);
+    }
+    return histogram;
+};
+
+const sorted = histogram => [...histogram].sort(([a], [b]) => a - b);
+
+describe('Simulation', () => {
+    it('summarises the totals', () => {
+        const { count, histogram, min, max, mean, stddev, percentile } = simulate('d4', 8, {
+            rng: sequence([1, 2, 2, 3, 3, 3, 4, 4]),
+        });
+        expect(count).toBe(8);
+        expect([...histogram]).toEqual([[1, 1], [2, 2], [3, 3], [4, 2]]);
+        expect([min, max, mean]).toEqual([1, 4, 2.75]);
+        expect(stddev).toBeCloseTo(Math.sqrt(0.9375), 12);
+        expect([percentile(0), percentile(25), percentile(50), percentile(100)]).toEqual([1, 2, 3, 4]);
+    });
+
+    it('rolls exactly as a roll function does', () => {
+        [
+            '4d6kh3',
+            '3d6!',
+            '2d6!!>=5kh1',
+            '5d10!p>=8dl2',
+            'd6rr<3 + d8r1',
+            '4d6t6kl3',
+            '6d10>=7f1',
+            '4d6cs>=5 - 1d4',
+            'floor((d6 + d8) / 3) - 2d4',
+            'max(d6, d8) * 2',
+            '{d6, d8}kh1 + 1',
+            '2d6[fire] + d4[cold]',
+            '2d{0,0,1,1,2,3}',
+            '1d20 vs 1d20 + 1',
+        ].forEach(expr => {
+            const expected = rolledHistogram(createParser(), expr, 500, { rng: seeded(3) });
+            const { histogram } = simulate(expr, 500, { rng: seeded(3) });
+            expect(sorted(histogram)).withContext(expr).toEqual(sorted(expected));
+        });
+    });
+
+    it('uses the context and the parser', () => {
+        const context = { n: 3, bonus: 0.1 };
+        const expected = rolledHistogram(createParser(), '@n d6 + @bonus + d4', 200, { rng: seeded(9), context });
+        expect(simulate('@n d6 + @bonus + d4', 200, { rng: seeded(9), context }).histogram).toEqual(expected);
+        const parser = createParser({ rounding: 'ceil', rng: sequence([5]) });
+        expect(createSimulation(parser)('d6 / 2', 1).min).toBe(3);
+    });
+
+    it('rolls custom modifiers as a roll function does', () => {
+        const parser = createParser();
+        const raise = (dice, { arg }) => dice.map(d => ({ ...d, face: Math.max(d.face, arg) }));
+        parser.registerModifier({ token: 'lift', apply: raise });
+        const expected = rolledHistogram(parser, '4d6lift3', 200, { rng: seeded(2) });
+        expect(createSimulation(parser)('4d6lift3', 200, { rng: seeded(2) }).histogram).toEqual(expected);
+    });
+
+    it('rolls one repetition at a time', () => {
+        expect([...simulate('3x d6', 3, { rng: sequence([2, 4, 6]) }).histogram]).toEqual([[2, 1], [4, 1], [6, 1]]);
+    });
+
+    it('gives the margins and success of a comparison', () => {
+        const { histogram, success } = simulate('d6 vs d6', 3, { rng: sequence([4, 2, 3, 3, 1, 5]) });
+        expect([...histogram]).toEqual([[-4, 1], [0, 1], [2, 1]]);
+        expect(success).toBeCloseTo(1 / 3, 12);
+        expect(simulate('(d6) >= 4', 2, { rng: sequence([3, 4]) }).success).toBe(0.5);
+        expect(simulate('d6', 1).success).toBeUndefined();
+    });
+
+    it('fails as a roll function does', () => {
+        const parser = createParser({ maxExplosions: 3 });
+        const roll = parser.parse('1 + d2!', { rng: seeded(1) });
+        const expected = thrown(() => Array.from({ length: 100 }, () => roll()));
+        const error = thrown(() => createSimulation(parser)('1 + d2!', 100, { rng: seeded(1) }));
+        expect(error).toBeInstanceOf(RollLimitExceededError);
+        expect(error).toEqual(expected);
+        expect([error.offset, error.length, error.actual]).toEqual([4, 3, 4]);
+        expect(thrown(() => simulate('d6 / (d2 - 1)', 100, { rng: seeded(1) }))).toBeInstanceOf(DivisionByZeroError);
+        expect(thrown(() => simulate('d6 + @a', 1))).toBeInstanceOf(MissingReferenceError);
+    });
+
+    it('rejects narrative dice and invalid counts', () => {
+        expect(() => simulate('2dglyph', 10)).toThrowError(InvalidChunkError, /narrative dice/);
+        expect(() => simulate('d6 + xyz', 10)).toThrowError(InvalidChunkError);
+        [0, -1, 1.5, '10'].forEach(count => expect(() => simulate('d6', count)).toThrowError(TypeError));
+    });
+
+    describe('in worker threads', () => {
+        it('shares the rolls between the workers', async () => {
+            const result = await simulate.parallel('3d6', 1001, { workers: 2, seed: 7 });
+            const first = simulate('3d6', 501, { rng: seeded(7) }).histogram;
+            const second = simulate('3d6', 500, { rng: seeded(8) }).histogram;
+            const expected = new Map(first);
+            second.forEach((times, total) => expected.set(total, (expected.get(total) || 0) + times));
+            expect(result.count).toBe(1001);
+            expect(sorted(result.histogram)).toEqual(sorted(expected));
+        });
+
+        it('uses a worker for each processor by default', async () => {
+            expect((await simulate.parallel('d6', 10)).count).toBe(10);
+        });
+
+        it('fails as the rolls do', async () => {
+            const parser = createParser({ maxExplosions: 3 });
+            await expectAsync(createSimulation(parser).parallel('d2!', 1000, { workers: 2, seed: 1 }))
+                .toBeRejectedWith(jasmine.objectContaining({ code: 'ROLL_LIMIT_EXCEEDED', offset: 0, length: 3 }));
+            await expectAsync(simulate.parallel('d6', 10, { workers: 0 })).toBeRejectedWithError(TypeError);
+            const custom = createParser();
+            custom.registerModifier({ token: 'lift', apply: dice => dice });
+            await expectAsync(createSimulation(custom).parallel('d6lift2', 10, { workers: 1 }))
+                .toBeRejectedWithError(TypeError, /Custom modifiers/);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+import { parse, InvalidChunkError } from '../src/fdice.js';
+import { sequence } from '../src/random.js';
+
+const roll = (expr, rolls) => parse(expr, { rng: sequence(rolls) });
+
+describe('Success counting', () => {
+    [
+        '10d10>=8', '6d6>4', '5d10<=3', '5d10<3', // successes
+        '10d10>=8f1', '10d10>=8f', '6d6>4f<=2', '10d10>=8F1', // failures
+        '10d10!10>=8', '10d10!>=9>=8', '4d6r1kh3>=5', '4dF>0', '4dF>=+1f-1', // with modifiers and special dice
+    ].forEach(expr => {
+        it(`will parse: ${expr}`, () => {
+            expect(() => parse(expr)).not.toThrow();
+        });
+    });
+
+    [
+        '10d10>=', '10d10>', '10d10f>', // missing target
+        '10d10>=8kh3', '10d10f1!', // modifiers after targets
+        '10d10==8', '10d10=>8', '10d10<>8', // unsupported comparisons
+    ].forEach(expr => {
+        it(`will not parse: ${expr}`, () => {
+            expect(() => parse(expr)).toThrowError(InvalidChunkError);
+        });
+    });
+
+    it('counts dice meeting the target', () => {
+        expect(roll('5d10>=8', [8, 7, 10, 1, 9])()).toBe(3);
+        expect(roll('5d10>8', [8, 7, 10, 1, 9])()).toBe(2);
+        expect(roll('5d10<=3', [8, 3, 10, 1, 9])()).toBe(2);
+        expect(roll('5d10<3', [8, 3, 10, 1, 9])()).toBe(1);
+    });
+
+    it('subtracts failures', () => {
+        expect(roll('5d10>=8f1', [8, 1, 10, 1, 9])()).toBe(1);
+        // Failures default to the lowest face.
+        expect(roll('5d10>=8f', [8, 1, 10, 1, 9])()).toBe(1);
+        expect(roll('5d10>=8f<=2', [8, 2, 1, 3, 5])()).toBe(-1);
+        // A die which is both a success and a failure cancels itself.
+        expect(roll('2d10>=1f1', [1, 5])()).toBe(1);
+    });
+
+    it('counts dice added by explosions', () => {
+        // The 10 explodes into a 9, and both are successes.
+        expect(roll('3d10!10>=8', [10, 3, 8, 9])()).toBe(3);
+        // A compare point after the explosion belongs to it: the 8 explodes into a 3, and the 8 and 7 are successes.
+        expect(roll('2d10!>=8>=7', [8, 7, 3])()).toBe(2);
+    });
+
+    it('only counts kept dice', () => {
+        expect(roll('4d6kh2>=5', [6, 5, 5, 2])()).toBe(2);
+        expect(roll('4d6kl2>=5', [6, 5, 5, 2])()).toBe(1);
+    });
+
+    it('can be combined with arithmetic', () => {
+        expect(roll('4d10>=8+2', [8, 9, 1, 2])()).toBe(4);
+        expect(roll('4d10>=8-2d10>=8', [8, 9, 1, 2, 10, 3])()).toBe(1);
+    });
+
+    it('scores each die when unreduced', () => {
+        expect(roll('5d10>=8f1', [8, 1, 10, 3, 9])(false)).toEqual([[1, -1, 1, 0, 1]]);
+        expect(roll('-3d10>=8', [8, 1, 10])()).toBe(-2);
+    });
+
+    it('marks successes and failures in the detail', () => {
+        const { total, chunks } = roll('3d10>=8f1', [8, 1, 4]).detail();
+        expect(total).toBe(0);
+        expect(chunks[0].dice.map(({ face, success, failure }) => ({ face, success, failure }))).toEqual([
+            { face: 8, success: true, failure: false },
+            { face: 1, success: false, failure: true },
+            { face: 4, success: false, failure: false },
+        ]);
+        expect(chunks[0].subtotal).toBe(0);
+    });
+});
@@ -3,7 +3,12 @@ import { parse } from '../src/fdice.js';
 describe('Unsupported', () => {
     // Known bad expressions that should not parse to anything. Chunks tested elsewhere.
     describe('operator', () => {
-        ['5/2', '5*2', '2d20/2', '2d20*2', 'd6+5/2', '2*d6+1', '-2*d20', '-2/d20'].forEach(expr => {
+        [
+            '5/', '*2', '2**2', '2d20//2', '5^2', '5%2', // misplaced or unknown operators
+            '(2d6', '2d6)', '()', '(2d6+)', ')(', '2(d6)', '(2)(3)', // unbalanced or empty parentheses
+            'floor', 'floor 3', 'floor()', 'trunc(5/2)', 'floor(1)(2)', 'max(1,)', 'min(,2)', // unknown or incomplete functions
+            '--2', '1+-2', '1-+2', '2*--3', // stacked signs
+        ].forEach(expr => {
             it(`is invalid: ${expr}`, () => {
                 expect(() => parse(expr)).toThrow(); // 'actual' for toThrow must be a func.
             })
@@ -24,7 +29,7 @@ describe('Unsupported', () => {
 
     describe('modifier', () => {
         [
-            '6d20f9',           // made up modifier 'f'
+            '6d20q9',           // made up modifier 'q'
             '4d10k', '4d10d',   // Keep/drop without specifying what
             '4d10k1', '4d10d1',
             '4d10h', '4d10l',   // Counter-intuitive drop highest/lowest modifiers (they specify what you don't want).
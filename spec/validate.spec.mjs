@@ -0,0 +1,100 @@
+import {
+    validate,
+    createParser,
+    DieTooBigError,
+    ImpossibleConditionError,
+    InvalidChunkError,
+    TooManyChunksError,
+    TooManyDiceError,
+} from '../src/index.js';
+
+const codes = expr => validate(expr).warnings.map(({ code, token }) => [code, token]);
+
+describe('Validation', () => {
+    it('accepts valid expressions', () => {
+        expect(validate('4d6kh3 + 2')).toEqual({ valid: true, errors: [], warnings: [] });
+        expect(validate('d20 vs d20 + @bonus').valid).toBe(true);
+    });
+
+    it('gives the error parse throws instead of throwing', () => {
+        const { valid, errors, warnings } = validate('2d6 + xyz');
+        expect(valid).toBe(false);
+        expect(errors.length).toBe(1);
+        expect(errors[0]).toBeInstanceOf(InvalidChunkError);
+        expect([errors[0].offset, errors[0].length]).toEqual([6, 3]);
+        expect(warnings).toEqual([]);
+    });
+
+    it('throws for expressions which are not strings', () => {
+        [null, undefined, 42, ['d6']].forEach(expr =>
+            expect(() => validate(expr)).withContext(String(expr)).toThrowError(TypeError));
+    });
+
+    it('checks every rule parse does', () => {
+        const parser = createParser({ maxChunks: 3, maxFaces: 20 });
+        expect(parser.validate('1 + 2 + 3 + 4').errors[0]).toBeInstanceOf(TooManyChunksError);
+        expect(parser.validate('d100').errors[0]).toBeInstanceOf(DieTooBigError);
+        expect(validate('200d6').errors[0]).toBeInstanceOf(TooManyDiceError);
+        expect(validate('d6rr<7').errors[0]).toBeInstanceOf(ImpossibleConditionError);
+        expect(validate('4d6kh3kh').valid).toBe(true);
+        expect(validate('4d6q').valid).toBe(false);
+        expect(validate('x'.repeat(61)).errors[0].code).toBe('EXPRESSION_TOO_LONG');
+        expect(validate('d6 + 1 + dability').valid).toBe(false);
+    });
+
+    it("doesn't fill the cache", () => {
+        const parser = createParser();
+        ['d', 'd6', 'd6k', 'd6kh'].forEach(parser.validate);
+        expect(parser.cacheStats().size).toBe(0);
+    });
+
+    it('warns about explosions on every face', () => {
+        expect(codes('d1!')).toEqual([['ENDLESS_EXPLOSION', '!']]);
+        expect(codes('2d6!!>=1')).toEqual([['ENDLESS_EXPLOSION', '!!>=1']]);
+        expect(codes('dF!>=-1')).toEqual([['ENDLESS_EXPLOSION', '!>=-1']]);
+        expect(codes('d6!')).toEqual([]);
+    });
+
+    it('warns about keeps and drops with no effect', () => {
+        expect(codes('4d6kh4')).toEqual([['NO_EFFECT', 'kh4']]);
+        expect(codes('4d6kh3kl3')).toEqual([['NO_EFFECT', 'kl3']]);
+        expect(codes('4d6dl0')).toEqual([['NO_EFFECT', 'dl0']]);
+        expect(codes('{d6, d8}kh2')).toEqual([['NO_EFFECT', 'kh2']]);
+        expect(validate('4d6kh4').warnings[0]).toEqual({
+            code: 'NO_EFFECT',
+            message: '"kh4" keeps every die, so has no effect',
+            offset: 3,
+            length: 3,
+            token: 'kh4',
+        });
+        // Dice added to the pool, or a count given by a reference, may make a keep useful.
+        expect(codes('4d6!kh4')).toEqual([]);
+        expect(codes('4d6t6kh4')).toEqual([]);
+        expect(codes('@n d6kh4')).toEqual([]);
+    });
+
+    it('warns about arguments matching no face', () => {
+        expect(codes('d6r7')).toEqual([['NO_MATCH', 'r7']]);
+        expect(codes('1 + 3d6>=7')).toEqual([['NO_MATCH', '>=7']]);
+        expect(codes('d{1,3,5}t2')).toEqual([['NO_MATCH', 't2']]);
+        // Compounded dice may show totals beyond the faces of the die.
+        expect(codes('d6!!r12')).toEqual([]);
+        expect(codes('d6r@face')).toEqual([]);
+    });
+
+    it('warns about targets which every die meets', () => {
+        expect(codes('3d6<=12')).toEqual([['AMBIGUOUS_COMPARISON', '<=12']]);
+        expect(codes('3d6 <= 12')).toEqual([['AMBIGUOUS_COMPARISON', '<= 12']]);
+        expect(validate('3d6 >= 1').warnings[0].message).toMatch(/parentheses/);
+        ['3d6<=4', '1d20 >= 15', '(3d6) <= 12', '1d20+5>=15', '10d10=8', 'd20 vs d20']
+            .forEach(expr => expect(codes(expr)).withContext(expr).toEqual([]));
+    });
+
+    it('gives the warnings in order', () => {
+        expect(codes('2d6r7 + 4d6dl0 - d1!')).toEqual([
+            ['NO_MATCH', 'r7'],
+            ['NO_EFFECT', 'dl0'],
+            ['ENDLESS_EXPLOSION', '!'],
+        ]);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @file Defines bounded caches for memoized functions, so that long-running processes which see many distinct
+ * expressions don't grow without limit.
+ */
+import memoize from 'lodash/memoize.js';
+
+/**
+ * The number of entries kept in each cache when no other size is given.
+ */
+export const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * @typedef {object} CacheStats
+ * @property {number} hits How many lookups found a cached entry.
+ * @property {number} misses How many lookups found no cached entry, so the value was computed.
+ * @property {number} size How many entries are cached.
+ * @property {number} maxSize The most entries which may be cached.
+ */
+
+/**
+ * Checks that a cache size is a whole number, or infinite for an unbounded cache.
+ *
+ * @param {number} maxSize The cache size.
+ * @returns {number} The cache size.
+ * @throws {TypeError} When the size is not valid.
+ */
+export const checkCacheSize = maxSize => {
+    if (!(maxSize === Infinity || (Number.isSafeInteger(maxSize) && maxSize >= 0))) {
+        throw new TypeError(`Invalid cache size: ${maxSize}`);
+    }
+    return maxSize;
+};
+
+/**
+ * Creates a cache which holds at most a given number of entries, evicting the least recently used entry when it is
+ * full. It has the interface lodash `memoize` expects of a cache, and counts the hits and misses of `memoize`'s
+ * lookups, which always check `has` before either `get` or `set`.
+ *
+ * @param {number} maxSize The most entries which may be cached; 0 caches nothing.
+ * @returns {object} The cache.
+ */
+export const createCache = maxSize => {
+    checkCacheSize(maxSize);
+    // A Map iterates in insertion order, so re-inserting an entry when it is used keeps the least recent first.
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+    const cache = {
+        has: key => {
+            const found = entries.has(key);
+            found ? hits++ : misses++;
+            return found;
+        },
+        get: key => {
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set: (key, value) => {
+            entries.delete(key);
+            entries.set(key, value);
+            while (entries.size > maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+            return cache;
+        },
+        delete: key => entries.delete(key),
+        clear: () => {
+            entries.clear();
+            hits = 0;
+            misses = 0;
+        },
+        stats: () => ({ hits, misses, size: entries.size, maxSize }),
+    };
+    return cache;
+};
+
+/**
+ * Memoizes a function of one argument with a bounded cache. The memoized function has a `clearCache` method, which
+ * empties the cache and resets its statistics, and a `cacheStats` method giving its {@link CacheStats}.
+ *
+ * @param {function} f The function to memoize.
+ * @param {number} [maxSize] The most results which may be cached.
+ * @returns {function} The memoized function.
+ */
+export const memoizeBounded = (f, maxSize = DEFAULT_CACHE_SIZE) => {
+    const memoized = memoize(f);
+    memoized.cache = createCache(maxSize);
+    memoized.clearCache = () => memoized.cache.clear();
+    memoized.cacheStats = () => memoized.cache.stats();
+    return memoized;
+};
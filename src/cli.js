@@ -0,0 +1,392 @@
+/**
+ * @file A command line dice roller, e.g. `fdice "4d6kh3" --times 6 --detail`. With no expressions it reads them line
+ * by line, as an interactive prompt when run in a terminal.
+ */
+import { createInterface } from 'node:readline';
+
+import pick from 'lodash/pick.js';
+
+import { createDistribution } from './distribution.js';
+import { DiceError, DistributionTooComplexError } from './errors.js';
+import { createParser } from './fdice.js';
+import { negateSymbols } from './narrative.js';
+import { seeded } from './random.js';
+import { createSimulation } from './simulate.js';
+
+/**
+ * The exit code for each error code, so that scripts can tell failures apart. Any other error exits with 1, and bad
+ * command line options exit with 2.
+ *
+ * @type {Object<string, number>}
+ */
+export const EXIT_CODES = Object.freeze({
+    DICE_ERROR: 3,
+    INVALID_CHUNK: 4,
+    EXPRESSION_TOO_LONG: 5,
+    TOO_MANY_CHUNKS: 6,
+    TOO_MANY_DICE: 7,
+    DIE_TOO_BIG: 8,
+    ROLL_LIMIT_EXCEEDED: 9,
+    DIVISION_BY_ZERO: 10,
+    IMPOSSIBLE_CONDITION: 11,
+    MISSING_REFERENCE: 12,
+    INVALID_REFERENCE: 13,
+    DISTRIBUTION_TOO_COMPLEX: 14,
+});
+
+/**
+ * The exit code for bad command line options.
+ */
+const USAGE_EXIT_CODE = 2;
+
+/**
+ * The number of rolls that statistics are estimated from, for expressions too complex for an exact distribution.
+ */
+const ESTIMATE_ROLLS = 100000;
+
+/**
+ * Mixed into the seed to seed the rolls statistics are estimated from, which are kept apart from the rolls shown.
+ * @ignore
+ */
+const ESTIMATE_SEED = 0x9E3779B9;
+
+/**
+ * The command line options, with the short name of each and whether it is followed by a value.
+ * @ignore
+ */
+const OPTIONS = {
+    times: { short: 'n', value: true },
+    detail: { short: 'd' },
+    seed: { short: 's', value: true },
+    json: { short: 'j' },
+    stats: {},
+    interactive: { short: 'i' },
+    help: { short: 'h' },
+};
+
+const USAGE = `Usage: fdice [options] [expression...]
+
+Rolls each dice expression, e.g. fdice "4d6kh3" --times 6. With no expressions, reads one expression per line;
+in a terminal this is an interactive prompt with history.
+
+Options:
+  -n, --times <n>   Roll each expression n times (default 1)
+  -d, --detail      Show every die rolled
+  -s, --seed <n>    Seed the random rolls, to repeat them
+  -j, --json        Print the detailed results as JSON
+      --stats       Print the lowest, highest and mean total of each expression, and the
+                    chance of success of a comparison
+      --            Read the rest as expressions, even those starting with -
+  -i, --interactive Read expressions even when some are given
+  -h, --help        Show this help`;
+
+/**
+ * Thrown for bad command line options.
+ * @ignore
+ */
+class UsageError extends Error {}
+
+/**
+ * Finds the exit code for an error.
+ *
+ * @param {Error} error The error.
+ * @returns {number} The exit code.
+ */
+export const exitCode = error => {
+    if (error instanceof UsageError) {
+        return USAGE_EXIT_CODE;
+    }
+    return error instanceof DiceError ? EXIT_CODES[error.code] || EXIT_CODES.DICE_ERROR : 1;
+};
+
+/**
+ * Reads a whole number option.
+ * @ignore
+ */
+const integerOption = (name, value, min) => {
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < min) {
+        throw new UsageError(`--${name} must be a whole number of at least ${min}: ${value}`);
+    }
+    return number;
+};
+
+/**
+ * Reads a single option into the values read so far.
+ *
+ * @param {object} values The values read so far.
+ * @param {string} name The name of the option, without dashes.
+ * @param {string} flag The option as it was written, for errors.
+ * @param {string|undefined} inline The value given with the option, as in `--times=6` or `-n6`.
+ * @param {Array<string>} rest The remaining arguments, from which a value is taken when none is given inline.
+ * @ignore
+ */
+const readOption = (values, name, flag, inline, rest) => {
+    if (!Object.prototype.hasOwnProperty.call(OPTIONS, name)) {
+        throw new UsageError(`Unknown option: ${flag}`);
+    }
+    if (!OPTIONS[name].value) {
+        if (inline !== undefined) {
+            throw new UsageError(`Option ${flag} doesn't take a value`);
+        }
+        values[name] = true;
+        return;
+    }
+    const value = inline === undefined ? rest.shift() : inline;
+    if (value === undefined) {
+        throw new UsageError(`Option ${flag} needs a value`);
+    }
+    values[name] = value;
+};
+
+/**
+ * Reads the command line arguments. Options may be given before, between or after the expressions, and `--` ends
+ * them, so that the arguments after it are all expressions.
+ *
+ * @param {Array<string>} args The arguments, without the node and script paths.
+ * @returns {object} The options and the expressions to roll.
+ */
+export const parseOptions = args => {
+    const values = { times: '1', detail: false, json: false, stats: false, interactive: false, help: false };
+    const expressions = [];
+    const rest = [...args];
+    while (rest.length > 0) {
+        const arg = rest.shift();
+        if (arg === '--') {
+            expressions.push(...rest.splice(0));
+        } else if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            const flag = equals === -1 ? arg : arg.slice(0, equals);
+            readOption(values, flag.slice(2), flag, equals === -1 ? undefined : arg.slice(equals + 1), rest);
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            // Short options may be grouped, as in "-dj", and the last may be followed by its value, as in "-n6".
+            for (let i = 1; i < arg.length; i++) {
+                const name = Object.keys(OPTIONS).find(key => OPTIONS[key].short === arg[i]);
+                const joined = name !== undefined && OPTIONS[name].value && i + 1 < arg.length;
+                readOption(values, name || arg[i], `-${arg[i]}`, joined ? arg.slice(i + 1) : undefined, rest);
+                if (joined) {
+                    break;
+                }
+            }
+        } else {
+            expressions.push(arg);
+        }
+    }
+    return {
+        ...values,
+        times: integerOption('times', values.times, 1),
+        seed: values.seed === undefined ? undefined : integerOption('seed', values.seed, 0),
+        expressions,
+    };
+};
+
+/**
+ * Formats the symbols of a narrative die or tally, e.g. "2 success, 1 advantage".
+ * @ignore
+ */
+const formatSymbols = symbols => Object.entries(symbols).map(([symbol, count]) => `${count} ${symbol}`).join(', ')
+    || 'nothing';
+
+/**
+ * Formats the result of a roll, which is either a number or a tally of symbols.
+ * @ignore
+ */
+const formatTotal = total => typeof total === 'number' ? String(total) : formatSymbols(total);
+
+/**
+ * Formats the total of a roll, followed by the subtotal of each label when it has any, e.g. "13 (8 slashing, 5 fire)".
+ * @ignore
+ */
+const formatResult = ({ total, labels }) => {
+    if (!labels) {
+        return formatTotal(total);
+    }
+    const subtotals = Object.entries(labels).map(([label, subtotal]) => `${formatTotal(subtotal)} ${label}`);
+    return `${formatTotal(total)} (${subtotals.join(', ')})`;
+};
+
+/**
+ * Formats the outcome of a comparison, with the total of each side and the margin between them, e.g.
+ * "success (18 to 15, margin 3)".
+ * @ignore
+ */
+const formatComparison = ({ left, right, winner, success, margin }) => {
+    const outcome = winner === null ? 'tie' : success ? 'success' : 'failure';
+    return `${outcome} (${formatResult(left)} to ${formatResult(right)}, margin ${margin})`;
+};
+
+/**
+ * Formats the result of a roll, or the outcome of a comparison.
+ * @ignore
+ */
+const formatRoll = detail => 'winner' in detail ? formatComparison(detail) : formatResult(detail);
+
+/**
+ * Formats the face showing on a die. A narrative die shows each of its symbols, e.g. "success+advantage", as they
+ * count towards the roll: those of a subtracted pool become their opposites.
+ * @ignore
+ */
+const formatFace = ({ face, symbols }, sign) => {
+    if (!symbols) {
+        return String(face);
+    }
+    const counted = sign < 0 ? negateSymbols(symbols) : symbols;
+    return Object.entries(counted).flatMap(([symbol, count]) => Array(count).fill(symbol)).join('+') || 'blank';
+};
+
+/**
+ * Formats the dice of a chunk, with dice which don't count in parentheses.
+ * @ignore
+ */
+const formatDice = (dice, sign) => dice.map(d => d.kept ? formatFace(d, sign) : `(${formatFace(d, sign)})`).join(', ');
+
+/**
+ * Formats every dice chunk of a roll, with the chunks of dropped group members in parentheses.
+ * @ignore
+ */
+const formatChunks = chunks => chunks.filter(chunk => chunk.dice).map(({ text, sign, dice, dropped }) => {
+    const formatted = `${text} [${formatDice(dice, sign)}]`;
+    return dropped ? `(${formatted})` : formatted;
+});
+
+/**
+ * Formats the detail of a roll as its total followed by every die rolled, e.g. "17  4d6kh3 [6, 5, 6, (2)]". Chunks
+ * of dropped group members are in parentheses too, narrative dice show their symbols, and the subtotal of each label
+ * follows the total. A comparison shows its outcome, then the dice of each side.
+ *
+ * @param {RollDetail|Comparison} detail The detail of the roll.
+ * @returns {string} The formatted roll.
+ */
+export const formatDetail = detail => {
+    const chunks = 'winner' in detail ? [...detail.left.chunks, ...detail.right.chunks] : detail.chunks;
+    return [formatRoll(detail), ...formatChunks(chunks)].join('  ');
+};
+
+/**
+ * Formats the statistics of an expression's distribution, with the chance of success of a comparison, noting when
+ * they are estimated.
+ * @ignore
+ */
+const formatStats = ({ min, max, mean, success, estimated }) =>
+    `min ${min}, max ${max}, mean ${Number(mean.toFixed(4))}`
+    + (success === undefined ? '' : `, success ${Number(success.toFixed(4))}`)
+    + (estimated ? ` (estimated from ${ESTIMATE_ROLLS} rolls)` : '');
+
+/**
+ * Describes an error, pointing at the part of the expression at fault when it is known.
+ * @ignore
+ */
+const describeError = (error, expr) => {
+    const message = `fdice: ${error.message}`;
+    if (!(error instanceof DiceError) || error.offset === undefined || expr === undefined) {
+        return message;
+    }
+    return `${message}\n  ${expr}\n  ${' '.repeat(error.offset)}${'^'.repeat(Math.max(1, error.length))}`;
+};
+
+/**
+ * Creates a function which rolls an expression as the options ask, writing the results. Statistics come from the exact
+ * distribution, or are estimated from simulated rolls when the expression is too complex for it.
+ * @ignore
+ */
+const createRoller = (options, write) => {
+    const parser = createParser({ rng: options.seed === undefined ? undefined : seeded(options.seed) });
+    const distribution = createDistribution(parser);
+    const simulate = createSimulation(parser);
+    const statistics = expr => {
+        try {
+            return distribution(expr);
+        } catch (error) {
+            if (!(error instanceof DistributionTooComplexError)) {
+                throw error;
+            }
+            // A source of its own keeps the rolls shown the same with or without statistics.
+            const rng = options.seed === undefined ? undefined : seeded(options.seed ^ ESTIMATE_SEED);
+            return { ...simulate(expr, ESTIMATE_ROLLS, { rng }), estimated: true };
+        }
+    };
+    return expr => {
+        const roll = parser.parse(expr);
+        // A repeated expression gives the detail of each repetition, which are shown as separate rolls.
+        const rolls = Array.from({ length: options.times }, () => roll.detail()).flat();
+        if (options.json) {
+            const summary = options.stats && pick(statistics(expr), ['min', 'max', 'mean', 'success', 'estimated']);
+            write(JSON.stringify({ expression: expr, rolls, ...(summary && { stats: summary }) }));
+            return;
+        }
+        // The rolls are written before the statistics are worked out, which may take a moment.
+        rolls.forEach(detail => write(options.detail ? formatDetail(detail) : formatRoll(detail)));
+        if (options.stats) {
+            write(formatStats(statistics(expr)));
+        }
+    };
+};
+
+/**
+ * Reads expressions line by line and rolls each one, until the input ends. Errors are reported and reading carries
+ * on; the exit code is that of the first error when the input isn't a terminal, so piped scripts can still tell.
+ * @ignore
+ */
+const readExpressions = (roll, { stdin, stdout, stderr }) => new Promise(resolve => {
+    const terminal = Boolean(stdin.isTTY);
+    let code = 0;
+    const lines = createInterface({ input: stdin, output: terminal ? stdout : undefined, terminal, historySize: 100 });
+    const prompt = () => terminal && lines.prompt();
+    lines.setPrompt('fdice> ');
+    lines.on('line', line => {
+        const expr = line.trim();
+        if (expr === 'exit' || expr === 'quit') {
+            lines.close();
+            return;
+        }
+        if (expr.length > 0) {
+            try {
+                roll(expr);
+            } catch (error) {
+                stderr.write(`${describeError(error, expr)}\n`);
+                code = code || (terminal ? 0 : exitCode(error));
+            }
+        }
+        prompt();
+    });
+    lines.on('close', () => resolve(code));
+    prompt();
+});
+
+/**
+ * Runs the command line dice roller.
+ *
+ * @param {Array<string>} args The command line arguments, without the node and script paths.
+ * @param {object} [io] The streams to use; by default those of the process.
+ * @param {stream.Readable} [io.stdin] The stream expressions are read from when none are given.
+ * @param {stream.Writable} [io.stdout] The stream results are written to.
+ * @param {stream.Writable} [io.stderr] The stream errors are written to.
+ * @returns {Promise<number>} The exit code: 0 on success, or the code for the first error; see {@link EXIT_CODES}.
+ */
+export const main = async (args, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) => {
+    const write = text => stdout.write(`${text}\n`);
+    let options;
+    try {
+        options = parseOptions(args);
+    } catch (error) {
+        stderr.write(`${describeError(error)}\n${USAGE}\n`);
+        return exitCode(error);
+    }
+    if (options.help) {
+        write(USAGE);
+        return 0;
+    }
+    const roll = createRoller(options, write);
+    for (const expr of options.expressions) {
+        try {
+            roll(expr);
+        } catch (error) {
+            stderr.write(`${describeError(error, expr)}\n`);
+            return exitCode(error);
+        }
+    }
+    if (options.expressions.length === 0 || options.interactive) {
+        return readExpressions(roll, { stdin, stdout, stderr });
+    }
+    return 0;
+};
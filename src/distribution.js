@@ -0,0 +1,966 @@
+/**
+ * @file Computes the exact probability distribution of the total of a dice expression.
+ */
+import identity from 'lodash/identity.js';
+import memoize from 'lodash/memoize.js';
+
+import { memoizeBounded } from './cache.js';
+import {
+    DistributionTooComplexError,
+    DivisionByZeroError,
+    InvalidChunkError,
+    MissingReferenceError,
+    RollLimitExceededError,
+} from './errors.js';
+import { locate } from './expression.js';
+import {
+    comparisonWinner,
+    comparisons,
+    createScore,
+    defaultParser,
+    diceReferences,
+    exactArgs,
+    expressionFunctions,
+    faceValues,
+    isAnnotation,
+    isTarget,
+    keepHighest,
+    keepLowest,
+    roundingFunctions,
+} from './fdice.js';
+import { asc, sum } from './util.js';
+
+/**
+ * Tolerance used when comparing accumulated probabilities, to absorb floating point error.
+ * @ignore
+ */
+const EPSILON = 1e-12;
+
+/**
+ * Probability below which a chain of explosions is too unlikely to affect any total, and so isn't followed.
+ * @ignore
+ */
+const NEGLIGIBLE = 1e-18;
+
+/**
+ * @typedef {object} Density
+ * @property {number} min The total which the first probability refers to.
+ * @property {Float64Array} probs Probability of each total from min upwards.
+ */
+
+/**
+ * @typedef {object} Outcome
+ * @property {Array<number>} values A multiset of rolls, sorted ascending.
+ * @property {number} rest The sum of any rolls no longer tracked individually.
+ * @property {number} p The probability of this outcome.
+ */
+
+/**
+ * Creates a density for a constant.
+ *
+ * @param {number} value The constant.
+ * @returns {Density} A density where the constant has probability 1.
+ */
+const constant = value => ({ min: value, probs: Float64Array.of(1) });
+
+/**
+ * Creates a density from a list of totals and their probabilities.
+ *
+ * @param {Iterable<Array<number>>} entries Pairs of total and probability; totals may be repeated.
+ * @returns {Density} The density.
+ */
+const fromEntries = entries => {
+    entries = [...entries];
+    const min = entries.reduce((acc, [total]) => Math.min(acc, total), Infinity);
+    const max = entries.reduce((acc, [total]) => Math.max(acc, total), -Infinity);
+    const probs = new Float64Array(max - min + 1);
+    entries.forEach(([total, p]) => probs[total - min] += p);
+    return { min, probs };
+};
+
+/**
+ * The most work which computing one distribution may take, counted in products of probabilities. A step which would
+ * exceed it throws a DistributionTooComplexError before starting, rather than running for minutes or running out of
+ * memory.
+ * @ignore
+ */
+const MAX_WORK = 1e8;
+
+/**
+ * The work counted for each outcome holding a list of rolls, which takes far longer to build than a product.
+ * @ignore
+ */
+const OUTCOME_WORK = 100;
+
+/**
+ * The fewest products of probabilities for which adding a total is worth summing windows, rather than multiplying
+ * out every pair of totals.
+ * @ignore
+ */
+const WINDOWED_WORK = 1e5;
+
+/**
+ * The work spent so far on the distribution being computed.
+ * @ignore
+ */
+let spent = 0;
+
+/**
+ * Counts the work of a step of computing a distribution, first throwing a DistributionTooComplexError if it would
+ * exceed the most work.
+ * @ignore
+ */
+const spend = work => {
+    if (spent + work > MAX_WORK) {
+        throw new DistributionTooComplexError(`Distribution too complex to compute in ${MAX_WORK} steps`, {
+            limit: MAX_WORK,
+            actual: spent + work,
+        });
+    }
+    spent += work;
+};
+
+/**
+ * Splits a density into runs of totals which are equally likely, e.g. a single run for a plain die.
+ * @ignore
+ */
+const runsOf = ({ probs }) => {
+    const runs = [];
+    probs.forEach((p, i) => {
+        const last = runs[runs.length - 1];
+        if (last && last.p === p) {
+            last.end = i + 1;
+        } else {
+            runs.push({ start: i, end: i + 1, p });
+        }
+    });
+    return runs.filter(({ p }) => p > 0);
+};
+
+/**
+ * Tests whether a density has a gap, an impossible total between two possible ones. Probabilities too small to be
+ * represented are also 0, but only in the tails, so they don't make gaps.
+ * @ignore
+ */
+const hasGap = ({ probs }) => {
+    const first = probs.findIndex(p => p > 0);
+    let last = probs.length - 1;
+    while (last > first && probs[last] === 0) {
+        last--;
+    }
+    return probs.subarray(first, last).includes(0);
+};
+
+/**
+ * Computes the density of the sum of a total with no gaps in its range, and a total whose density is made up of a few
+ * runs of equally likely totals. Each probability is then a sum over the runs of a window of the first density, summed
+ * from whichever end of the density is nearer, so that the small probabilities in its tails stay accurate.
+ *
+ * @param {Density} a The density of one total, with no gaps.
+ * @param {Density} b The density of the other.
+ * @param {Array<object>} runs The runs of the density of the other, see {@link runsOf}.
+ * @returns {Density} The density of the sum.
+ */
+const convolveRuns = (a, b, runs) => {
+    const length = a.probs.length;
+    // The sum of the probabilities below each index, and of those from it upwards.
+    const below = new Float64Array(length + 1);
+    const above = new Float64Array(length + 1);
+    for (let i = 0; i < length; i++) {
+        below[i + 1] = below[i] + a.probs[i];
+        above[length - i - 1] = above[length - i] + a.probs[length - i - 1];
+    }
+    const probs = new Float64Array(length + b.probs.length - 1);
+    runs.forEach(({ start, end, p }) => {
+        for (let k = start; k < length + end - 1; k++) {
+            const from = Math.max(0, k - end + 1);
+            const to = Math.min(length, k - start + 1);
+            const window = below[to] < above[from] ? below[to] - below[from] : above[from] - above[to];
+            probs[k] += Math.max(0, window) * p;
+        }
+    });
+    return { min: a.min + b.min, probs };
+};
+
+/**
+ * Computes the density of the sum of two independent totals.
+ *
+ * @param {Density} a The density of one total.
+ * @param {Density} b The density of the other.
+ * @returns {Density} The density of the sum.
+ * @throws {DistributionTooComplexError} When too many products are needed.
+ */
+const convolve = (a, b) => {
+    const work = a.probs.length * b.probs.length;
+    if (work >= WINDOWED_WORK) {
+        // Windows can only be summed over a density with no gaps, or gaps would be filled by rounding errors.
+        const [windowed, other] = a.probs.length >= b.probs.length ? [a, b] : [b, a];
+        const runs = runsOf(other);
+        if (runs.length * 4 <= other.probs.length && !hasGap(windowed)) {
+            spend(runs.length * (windowed.probs.length + other.probs.length));
+            return convolveRuns(windowed, other, runs);
+        }
+    }
+    spend(work);
+    const probs = new Float64Array(a.probs.length + b.probs.length - 1);
+    a.probs.forEach((pa, i) => {
+        for (let j = 0; pa > 0 && j < b.probs.length; j++) {
+            probs[i + j] += pa * b.probs[j];
+        }
+    });
+    return { min: a.min + b.min, probs };
+};
+
+/**
+ * Computes the density of the sum of a number of independent totals which all share the same density. A density made
+ * up of a few runs of equally likely totals, like that of a plain die, is added one total at a time, since each can be
+ * added by summing windows; others are added by repeatedly squaring the density, so that few convolutions are needed.
+ *
+ * @param {Density} density The density of one total.
+ * @param {number} times The number of totals.
+ * @returns {Density} The density of the sum.
+ * @throws {DistributionTooComplexError} When too many products are needed.
+ */
+const convolvePower = (density, times) => {
+    let result = constant(0);
+    if (runsOf(density).length * 4 <= density.probs.length) {
+        for (let i = 0; i < times; i++) {
+            result = convolve(result, density);
+        }
+        return result;
+    }
+    for (let n = times, power = density; n > 0; n = Math.floor(n / 2)) {
+        if (n % 2 === 1) {
+            result = convolve(result, power);
+        }
+        if (n > 1) {
+            power = convolve(power, power);
+        }
+    }
+    return result;
+};
+
+/**
+ * Collects outcomes, merging those with the same values and rest.
+ *
+ * @param {Iterable<Outcome>} outcomes The outcomes to merge.
+ * @returns {Array<Outcome>} The distinct outcomes.
+ */
+const merge = outcomes => {
+    const merged = new Map();
+    for (const { values, rest, p } of outcomes) {
+        const key = `${values}|${rest}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.p += p;
+        } else {
+            merged.set(key, { values, rest, p });
+        }
+    }
+    return [...merged.values()];
+};
+
+/**
+ * @name EntryDistribution
+ * @function
+ * @param {number} value A single roll in the pool.
+ * @returns {Array<Outcome>} The rolls which replace it after the modifier is applied, and their probabilities.
+ */
+
+/**
+ * The outcome of a single roll which is left alone.
+ * @ignore
+ */
+const unchanged = value => [{ values: [value], rest: 0, p: 1 }];
+
+/**
+ * Creates the distribution of the 'discard and reroll' modifier for a single roll.
+ *
+ * @param {function} matches Tests whether a roll is discarded.
+ * @param {Array<Outcome>} faces The outcomes of rolling a single further die.
+ * @returns {EntryDistribution} The distribution for a single roll.
+ */
+const rerollEntry = (matches, faces) => value => matches(value) ? faces : unchanged(value);
+
+/**
+ * Creates the distribution of the 'reroll until valid' modifier for a single roll. The roll limit is ignored, so the
+ * replacement is equally likely to be any roll which isn't discarded.
+ *
+ * @param {function} matches Tests whether a roll is discarded.
+ * @param {Array<Outcome>} faces The outcomes of rolling a single further die.
+ * @returns {EntryDistribution} The distribution for a single roll.
+ */
+const rerollUntilEntry = (matches, faces) => {
+    const valid = faces.filter(({ values }) => !matches(values[0]));
+    const mass = valid.map(({ p }) => p).reduce(sum, 0);
+    const replacements = valid.map(face => ({ ...face, p: face.p / mass }));
+    return value => matches(value) ? replacements : unchanged(value);
+};
+
+/**
+ * Creates the distribution of the 'count twice' modifier for a single roll.
+ *
+ * @param {function} matches Tests whether a roll is counted twice.
+ * @returns {EntryDistribution} The distribution for a single roll.
+ */
+const twiceEntry = matches => value => [{ values: matches(value) ? [value, value] : [value], rest: 0, p: 1 }];
+
+/**
+ * Creates the distribution of the 'exploding dice' modifier for a single roll. A roll which would explode beyond the
+ * given depth exceeds the roll limit, so fails as it would when rolled: it is left out, and the probabilities of the
+ * outcomes add up to that of the roll succeeding.
+ *
+ * @param {function} matches Tests whether a roll explodes.
+ * @param {Array<Outcome>} faces The outcomes of rolling a single further die.
+ * @param {number} depth The largest number of further dice that one roll may explode into; each round of explosions
+ * rolls one further die for each roll which exploded, and the roll limit allows as many rounds as it has dice to spare.
+ * @param {function} finish Applied to each outcome as it is built, e.g. to total rolls which are no longer needed.
+ * @param {object} [options] How further rolls are treated.
+ * @param {boolean} [options.compound] Whether further rolls are added to the die which exploded.
+ * @param {number} [options.penalty] The amount subtracted from each further roll which is added to the pool.
+ * @returns {EntryDistribution} The distribution for a single roll.
+ */
+const explodeEntry = (matches, faces, depth, finish, { compound = false, penalty = 0 } = {}) => {
+    // A compounded die is a single roll, so it can only be finished once all of its rolls are added up.
+    const step = compound ? identity : finish;
+    const extend = (value, { values, rest, p }) => step(compound
+        ? { values: [value + values[0]], rest, p }
+        : { values: [value, ...values].sort(asc), rest, p });
+    // The outcomes of rolling one further die, which may explode into as many more as are remaining.
+    const chain = memoize(remaining => merge(faces.flatMap(face => {
+        const roll = face.values[0];
+        const value = roll - penalty;
+        if (!matches(roll)) {
+            return [step({ values: [value], rest: 0, p: face.p })];
+        }
+        return remaining > 0
+            ? chain(remaining - 1)
+                .filter(next => face.p * next.p >= NEGLIGIBLE)
+                .map(next => extend(value, { ...next, p: face.p * next.p }))
+            : [];
+    })));
+    if (depth === 0) {
+        return value => matches(value) ? [] : unchanged(value).map(finish);
+    }
+    return value => matches(value)
+        ? chain(depth - 1).map(next => finish(extend(value, next)))
+        : unchanged(value).map(finish);
+};
+
+/**
+ * Applies a modifier which acts on each roll independently to every roll in each outcome.
+ *
+ * @param {Array<Outcome>} outcomes The outcomes before the modifier.
+ * @param {EntryDistribution} entry The distribution of the modifier for a single roll.
+ * @returns {Array<Outcome>} The outcomes after the modifier.
+ */
+const applyEntry = (outcomes, entry) => {
+    entry = memoize(entry);
+    return merge(outcomes.flatMap(({ values, rest, p }) => values.reduce(
+        (partials, value) => merge(partials.flatMap(partial => entry(value).map(next => ({
+            values: [...partial.values, ...next.values].sort(asc),
+            rest: partial.rest + next.rest,
+            p: partial.p * next.p,
+        })))),
+        [{ values: [], rest, p }],
+    )));
+};
+
+/**
+ * The highest n values of a sorted list.
+ * @ignore
+ */
+const top = (values, n) => n > 0 ? values.slice(-n) : [];
+
+/**
+ * The lowest n values of a sorted list.
+ * @ignore
+ */
+const bottom = (values, n) => n > 0 ? values.slice(0, n) : [];
+
+/**
+ * @typedef {object} Selection
+ * @property {function} keep Given a sorted list of rolls, produces the sorted list of rolls which are kept.
+ * @property {function} compress Given a sorted list of rolls, produces a reduced list and a sum of rolls no longer
+ * tracked individually such that the total after all dice are added is unaffected.
+ * @property {boolean} tracksKept Whether the reduced list is exactly the rolls which are kept.
+ * @property {function} total Given a compressed outcome, produces its total.
+ * @property {function} ranks Given the number of rolls, produces how many are kept and whether they are the highest.
+ */
+
+/**
+ * Keep and drop modifiers, which select rolls from the whole pool rather than acting on each roll independently.
+ * Keeping only tracks the kept rolls, while dropping tracks the dropped rolls and adds the others to the rest.
+ */
+const selections = {
+    'KH': n => ({
+        keep: values => keepHighest(n)([...values]).sort(asc),
+        compress: (values, rest) => [top(values, n), rest],
+        tracksKept: true,
+        total: ({ values, rest }) => values.reduce(sum, rest),
+        ranks: num => [Math.min(n, num), true],
+    }),
+    'KL': n => ({
+        keep: values => keepLowest(n)([...values]).sort(asc),
+        compress: (values, rest) => [bottom(values, n), rest],
+        tracksKept: true,
+        total: ({ values, rest }) => values.reduce(sum, rest),
+        ranks: num => [Math.min(n, num), false],
+    }),
+    'DH': n => ({
+        keep: values => values.slice(0, Math.max(0, values.length - n)),
+        compress: (values, rest) => [top(values, n), values.slice(0, Math.max(0, values.length - n)).reduce(sum, rest)],
+        tracksKept: false,
+        total: ({ rest }) => rest,
+        ranks: num => [Math.max(0, num - n), false],
+    }),
+    'DL': n => ({
+        keep: values => values.slice(n),
+        compress: (values, rest) => [bottom(values, n), values.slice(n).reduce(sum, rest)],
+        tracksKept: false,
+        total: ({ rest }) => rest,
+        ranks: num => [Math.max(0, num - n), true],
+    }),
+};
+
+/**
+ * Builds every outcome of a pool made up of a number of independent bundles of rolls.
+ *
+ * @param {Array<Outcome>} bundles The outcomes of a single bundle.
+ * @param {number} num The number of bundles in the pool.
+ * @param {function} compress Reduces the rolls tracked in each outcome, see {@link Selection}.
+ * @returns {Array<Outcome>} The outcomes of the whole pool.
+ * @throws {DistributionTooComplexError} When the pool has too many outcomes.
+ */
+const buildPool = (bundles, num, compress) => {
+    const compressed = merge(bundles.map(({ values, rest, p }) => {
+        const [kept, newRest] = compress(values, rest);
+        return { values: kept, rest: newRest, p };
+    }));
+    let pool = [{ values: [], rest: 0, p: 1 }];
+    for (let i = 0; i < num; i++) {
+        spend(pool.length * compressed.length * OUTCOME_WORK);
+        pool = merge(pool.flatMap(a => compressed.map(b => {
+            const [values, rest] = compress([...a.values, ...b.values].sort(asc), a.rest + b.rest);
+            return { values, rest, p: a.p * b.p };
+        })));
+    }
+    return pool;
+};
+
+/**
+ * Computes the density of the total of the highest or lowest rolls of a pool of independent single rolls, without
+ * building every outcome of the pool. The rolls are counted from the best value down: any number of the rolls not yet
+ * counted may show each value, and the density of the kept total is tracked for each number of rolls counted so far.
+ * Once as many rolls are counted as are kept, the rest may show any worse values, which doesn't affect the total.
+ *
+ * @param {Array<Outcome>} rolls The outcomes of a single roll, each with a single value and nothing in its rest.
+ * @param {number} num The number of rolls in the pool.
+ * @param {number} count The number of rolls kept.
+ * @param {boolean} highest Whether the highest rolls are kept, rather than the lowest.
+ * @returns {Density} The density of the total of the kept rolls.
+ * @throws {DistributionTooComplexError} When too many products are needed.
+ */
+const keptDensity = (rolls, num, count, highest) => {
+    if (count === 0) {
+        // Rolls which fail are still left out.
+        return { min: 0, probs: Float64Array.of(rolls.map(({ p }) => p).reduce(sum, 0) ** num) };
+    }
+    const ordered = rolls.map(({ values: [value], p }) => [value, p]).sort(([a], [b]) => highest ? b - a : a - b);
+    const low = Math.min(...ordered.map(([value]) => value));
+    const range = Math.max(...ordered.map(([value]) => value)) - low;
+    // Totals are tracked less the lowest value for each kept roll, so they start at 0.
+    const work = range * ordered.length * Array.from({ length: count }, (_, c) => (num - c + 1) * (c + 1))
+        .reduce(sum, 0);
+    spend(work);
+    // The number of ways to choose which of n rolls show a value, for each n and number of rolls t.
+    const choose = [[1]];
+    for (let n = 1; n <= num; n++) {
+        choose.push(Array.from({ length: n + 1 }, (_, t) => (choose[n - 1][t - 1] || 0) + (choose[n - 1][t] || 0)));
+    }
+    // The probability that a roll shows a value worse than each value.
+    const worse = ordered.map((_, i) => ordered.slice(i + 1).map(([, p]) => p).reduce(sum, 0));
+    const probs = new Float64Array(range * count + 1);
+    let counted = [Float64Array.of(1)];
+    ordered.forEach(([value, p], i) => {
+        const next = Array.from({ length: count }, (_, c) => new Float64Array(range * c + 1));
+        counted.forEach((totals, c) => {
+            for (let t = 0; t <= num - c && p ** t > 0; t++) {
+                const shift = Math.min(t, count - c) * (value - low);
+                const done = c + t >= count;
+                const target = done ? probs : next[c + t];
+                const weight = choose[num - c][t] * p ** t * (done ? worse[i] ** (num - c - t) : 1);
+                for (let total = 0; weight > 0 && total < totals.length; total++) {
+                    target[total + shift] += totals[total] * weight;
+                }
+            }
+        });
+        counted = next;
+    });
+    return { min: low * count, probs };
+};
+
+/**
+ * Adds two independent numbers of rolls, each given as the probability of each number up to a cap, where the last
+ * number stands for the cap or more.
+ * @ignore
+ */
+const addCounts = (a, b) => {
+    const cap = a.length - 1;
+    spend(a.length * b.length);
+    const counts = new Float64Array(a.length);
+    a.forEach((pa, i) => {
+        for (let j = 0; pa > 0 && j < b.length; j++) {
+            counts[Math.min(cap, i + j)] += pa * b[j];
+        }
+    });
+    return counts;
+};
+
+/**
+ * Computes the density of the total of the highest or lowest rolls of a pool of independent bundles, without building
+ * every outcome of the pool, when each bundle holds some copies of the best value and at most one other roll, as when
+ * only the best face explodes or is doubled. If the number of copies doesn't depend on which other roll a bundle holds,
+ * the two can be counted apart: every copy is kept before any other roll, and the other rolls make up a pool of single
+ * rolls which fill whatever places are left, see {@link keptDensity}.
+ *
+ * @param {Array<Outcome>} bundles The outcomes of a single bundle, compressed to the rolls which may be kept.
+ * @param {number} num The number of bundles in the pool.
+ * @param {number} count The number of rolls kept.
+ * @param {boolean} highest Whether the highest rolls are kept, rather than the lowest.
+ * @returns {Density|null} The density of the total of the kept rolls, or null if the bundles can't be split this way.
+ * @throws {DistributionTooComplexError} When too many products are needed.
+ */
+const splitDensity = (bundles, num, count, highest) => {
+    if (count === 0 || bundles.some(({ rest }) => rest !== 0)) {
+        return null;
+    }
+    const values = bundles.flatMap(({ values }) => values);
+    const best = highest ? Math.max(...values) : Math.min(...values);
+    // The probability of each number of copies below the count, for bundles with no other roll and for each other roll.
+    // Bundles with at least as many copies as are kept decide the total by themselves.
+    const alone = new Float64Array(count);
+    const byOther = new Map();
+    let full = 0;
+    for (const { values, p } of bundles) {
+        const others = values.filter(value => value !== best);
+        const copies = values.length - others.length;
+        if (others.length > 1) {
+            return null;
+        }
+        if (copies >= count) {
+            full += p;
+        } else if (others.length === 0) {
+            alone[copies] += p;
+        } else {
+            if (!byOther.has(others[0])) {
+                byOther.set(others[0], new Float64Array(count));
+            }
+            byOther.get(others[0])[copies] += p;
+        }
+    }
+    const withOther = [...byOther.values()].reduce(
+        (acc, copies) => acc.map((p, i) => p + copies[i]),
+        new Float64Array(count),
+    );
+    const other = withOther.reduce(sum, 0);
+    const rolls = [...byOther].map(([value, copies]) => ({
+        values: [value],
+        rest: 0,
+        p: copies.reduce(sum, 0) / other,
+    }));
+    const independent = rolls.every(({ values: [value], p }) => byOther.get(value)
+        .every((q, i) => Math.abs(q - p * withOther[i]) <= EPSILON * q));
+    if (!independent) {
+        return null;
+    }
+    // The probability of each number of copies among each number of bundles, with a last place for the count or more.
+    const powers = counts => {
+        const single = Float64Array.of(...counts, 0);
+        const result = [Float64Array.from({ length: count + 1 }, (_, c) => c === 0 ? 1 : 0)];
+        for (let n = 1; n <= num; n++) {
+            result.push(addCounts(result[n - 1], single));
+        }
+        return result;
+    };
+    const withOtherPowers = powers(withOther);
+    const alonePowers = powers(alone);
+    const mass = full + other + alone.reduce(sum, 0);
+    // Pools where some bundle holds enough copies keep only copies.
+    const entries = [[best * count, mass ** num - (mass - full) ** num]];
+    // Any n of the bundles may be those with another roll, and the others hold only copies.
+    for (let n = 0, ways = 1; n <= num; ways = ways * (num - n) / (n + 1), n++) {
+        addCounts(withOtherPowers[n], alonePowers[num - n]).forEach((weight, c) => {
+            if (weight > 0) {
+                const kept = keptDensity(rolls, n, Math.min(n, count - c), highest);
+                kept.probs.forEach((p, i) => entries.push([best * c + kept.min + i, ways * weight * p]));
+            }
+        });
+    }
+    return fromEntries(entries);
+};
+
+/**
+ * Computes the density of the total of a pool made up of a number of independent bundles of rolls, after applying
+ * a chain of modifiers to the pool.
+ *
+ * @param {Array<Outcome>} bundles The outcomes of a single bundle.
+ * @param {number} num The number of bundles in the pool.
+ * @param {Array<ModifierSpec>} modifiers The modifiers to apply to the pool, in order.
+ * @param {function} entryFor Produces the {@link EntryDistribution} for a modifier which acts on each roll, given a
+ * function to apply to each of its outcomes.
+ * @param {function} score Gives the value that each kept roll adds to the total.
+ * @returns {Density} The density of the total.
+ */
+const poolDensity = (bundles, num, modifiers, entryFor, score) => {
+    const index = modifiers.findIndex(({ func }) => func in selections);
+    const perEntry = index === -1 ? modifiers : modifiers.slice(0, index);
+    const selection = index === -1 ? null : selections[modifiers[index].func](modifiers[index].arg);
+    const remaining = modifiers.slice(index + 1);
+    // The selection alone decides the total unless later modifiers or scores need every kept roll; in that case, unless
+    // only the kept rolls are tracked anyway, the pool is built in full before selecting from it.
+    const selectsTotal = selection && remaining.length === 0 && score === identity;
+    const track = selection && (selectsTotal || selection.tracksKept)
+        ? selection.compress
+        : (values, rest) => [values, rest];
+    // The outcomes of the last modifier before any selection are reduced as they are built, so that outcomes which
+    // lead to the same total are merged: either totalled, or compressed as they will be when the pool is built.
+    const finish = selection
+        ? ({ values, rest, p }) => {
+            const [tracked, newRest] = track(values, rest);
+            return { values: tracked, rest: newRest, p };
+        }
+        : ({ values, rest, p }) => ({ values: [], rest: values.map(score).reduce(sum, rest), p });
+    bundles = perEntry.reduce(
+        (acc, modifier, i) => applyEntry(acc, entryFor(modifier, i === perEntry.length - 1 ? finish : identity)),
+        bundles,
+    );
+    if (bundles.length === 0) {
+        // Every roll exceeds the roll limit.
+        return { min: 0, probs: Float64Array.of(0) };
+    }
+    if (!selection) {
+        const bundle = fromEntries(bundles.map(({ values, rest, p }) => [values.map(score).reduce(sum, rest), p]));
+        return convolvePower(bundle, num);
+    }
+    if (selectsTotal && bundles.every(({ values, rest }) => values.length === 1 && rest === 0)) {
+        return keptDensity(bundles, num, ...selection.ranks(num));
+    }
+    // Keeping takes the same number of rolls from any pool large enough, however many rolls each bundle holds.
+    const split = selectsTotal && selection.tracksKept && splitDensity(bundles, num, ...selection.ranks(Infinity));
+    if (split) {
+        return split;
+    }
+    if (selectsTotal) {
+        return fromEntries(buildPool(bundles, num, track).map(o => [selection.total(o), o.p]));
+    }
+    const pool = buildPool(bundles, num, track)
+        .map(({ values, rest, p }) => ({ values: selection.keep(values), rest, p }));
+    return poolDensity(merge(pool), 1, remaining, entryFor, score);
+};
+
+/**
+ * Computes the density of the total of a dice chunk.
+ *
+ * @param {DiceSpec} dice The dice pool rolled by the chunk, like that of '4d6'.
+ * @param {Limits} limits The limits which apply to the roll.
+ * @returns {Density} The density of the chunk total.
+ */
+const diceDensity = (dice, limits) => {
+    const { num, die, modifiers } = dice;
+    // Faces of a custom die may repeat, making them more likely.
+    const faces = merge(faceValues(dice).map(value => ({ values: [value], rest: 0, p: 1 / die })));
+    const entryFor = ({ func, arg, compare }, finish) => {
+        const matches = value => comparisons[compare](value, arg);
+        switch (func) {
+            case 'R': return rerollEntry(matches, faces);
+            case 'RR': return rerollUntilEntry(matches, faces);
+            case 'T': return twiceEntry(matches);
+            case '!': return explodeEntry(matches, faces, limits.maxExplosions - num, finish);
+            case '!!': return explodeEntry(matches, faces, limits.maxExplosions - num, finish, { compound: true });
+            case '!P': return explodeEntry(matches, faces, limits.maxExplosions - num, finish, { penalty: 1 });
+        }
+    };
+    const score = createScore(modifiers);
+    // Annotations only mark dice, so they don't change the distribution.
+    const rolled = modifiers.filter(modifier => !isTarget(modifier) && !isAnnotation(modifier));
+    const density = poolDensity(faces, num, rolled, entryFor, score);
+    if (density.probs.every(p => p === 0)) {
+        throw new RollLimitExceededError(`Explosion always exceeds roll limit: ${limits.maxExplosions}`, {
+            limit: limits.maxExplosions,
+        });
+    }
+    return density;
+};
+
+/**
+ * Converts a density to a map of each possible value to its probability.
+ *
+ * @param {Density} density The density.
+ * @returns {Map<number, number>} The probability of each value.
+ */
+const toMap = ({ min, probs }) => new Map([...probs].map((p, i) => [min + i, p]).filter(([, p]) => p > 0));
+
+/**
+ * Combines the values of two independent parts of an expression.
+ *
+ * @param {Map<number, number>} a The probability of each value of one part.
+ * @param {Map<number, number>} b The probability of each value of the other part.
+ * @param {function} op Given a value of each part, produces the combined value, or undefined if the combination is
+ * impossible because the roll would fail.
+ * @returns {Map<number, number>} The probability of each combined value.
+ */
+const combine = (a, b, op) => {
+    spend(a.size * b.size);
+    const result = new Map();
+    a.forEach((pa, x) => b.forEach((pb, y) => {
+        const value = op(x, y);
+        if (value !== undefined) {
+            result.set(value, (result.get(value) || 0) + pa * pb);
+        }
+    }));
+    return result;
+};
+
+/**
+ * Tests whether every value of part of an expression is an integer, so that it can be summed with dense arithmetic.
+ * @ignore
+ */
+const isIntegral = values => [...values.keys()].every(Number.isInteger);
+
+/**
+ * Computes the probability of each value of the sum of two independent parts of an expression.
+ *
+ * @param {Map<number, number>} a The probability of each value of one part.
+ * @param {Map<number, number>} b The probability of each value of the other part.
+ * @returns {Map<number, number>} The probability of each value of the sum.
+ */
+const add = (a, b) => isIntegral(a) && isIntegral(b)
+    ? toMap(convolve(fromEntries(a), fromEntries(b)))
+    : combine(a, b, (x, y) => x + y);
+
+/**
+ * Maps each value of part of an expression, merging any values which become equal.
+ * @ignore
+ */
+const mapValues = (values, f) => combine(values, new Map([[0, 1]]), x => f(x));
+
+/**
+ * Computes the probability of each value of a function of independent parts of an expression.
+ *
+ * @param {Array<Map<number, number>>} args The probability of each value of each argument.
+ * @param {function} f The function, given a value of each argument.
+ * @returns {Map<number, number>} The probability of each value of the function.
+ */
+const callValues = ([first, ...rest], f) => {
+    spend(rest.reduce((acc, arg) => acc * arg.size, first.size) * OUTCOME_WORK);
+    // Each combination of arguments is tracked with its probability, until the function is applied to it.
+    const combinations = rest.reduce(
+        (acc, arg) => acc.flatMap(([values, p]) => [...arg].map(([value, pa]) => [[...values, value], p * pa])),
+        [...first].map(([value, p]) => [[value], p]),
+    );
+    const result = new Map();
+    combinations.forEach(([values, p]) => {
+        const value = f(...values);
+        result.set(value, (result.get(value) || 0) + p);
+    });
+    return result;
+};
+
+/**
+ * @typedef {object} Distribution
+ * @property {Map<number, number>} probabilities The probability of each possible total, in ascending order of total.
+ * @property {number} min The lowest possible total.
+ * @property {number} max The highest possible total.
+ * @property {number} mean The expected total.
+ * @property {number} variance The variance of the total.
+ * @property {number} failure The probability that a roll fails, by dividing by zero or exceeding the roll limit; the
+ * other statistics are those of the rolls which succeed.
+ * @property {function} probability Given a total, returns the probability of rolling it.
+ * @property {function} percentile Given a percentage 0..100, returns the lowest total which is at least as high as
+ * that percentage of rolls.
+ * @property {number} [success] For a comparison, like "1d20+5 vs 1d20+3", the probability that the left side wins;
+ * the rest of the distribution is that of the margin, the total of the left side less that of the right.
+ */
+
+/**
+ * Summarises the probability of each total of an expression. If some rolls would fail, by dividing by zero or
+ * exceeding the roll limit, the probabilities are those of the rolls which succeed.
+ *
+ * @param {string} expr The expression, used in error messages.
+ * @param {Map<number, number>} totals The probability of each total.
+ * @returns {Distribution} The summary.
+ */
+const summarise = (expr, totals) => {
+    let mass = [...totals.values()].reduce(sum, 0);
+    if (mass === 0) {
+        throw new DivisionByZeroError(`"${expr}" always divides by zero`, { offset: 0, length: expr.length, token: expr });
+    }
+    // Only rescale when rolls were excluded, to avoid adding rounding error to every probability.
+    mass = Math.abs(mass - 1) < EPSILON ? 1 : mass;
+    const entries = [...totals.entries()].filter(([, p]) => p > 0).map(([total, p]) => [total, p / mass]).sort(([a], [b]) => a - b);
+    const probabilities = new Map(entries);
+    const mean = entries.map(([total, p]) => total * p).reduce(sum, 0);
+    const variance = entries.map(([total, p]) => p * Math.pow(total - mean, 2)).reduce(sum, 0);
+    const percentile = q => {
+        let acc = 0;
+        const found = entries.find(([, p]) => (acc += p) >= q / 100 - EPSILON);
+        return (found || entries[entries.length - 1])[0];
+    };
+    return {
+        probabilities,
+        min: entries[0][0],
+        max: entries[entries.length - 1][0],
+        mean,
+        variance,
+        failure: 1 - mass,
+        probability: total => probabilities.get(total) || 0,
+        percentile,
+    };
+};
+
+/**
+ * Computes the probability of each total of a group whose members are selected by keep and drop modifiers. Outcomes
+ * track the sorted totals of the members rolled so far, so that they can be selected like the rolls of a pool.
+ *
+ * @param {Array<Map<number, number>>} members The probability of each total of each member.
+ * @param {Array<ModifierSpec>} modifiers The keep and drop modifiers, in order.
+ * @returns {Map<number, number>} The probability of each total of the group.
+ */
+const groupValues = (members, modifiers) => {
+    const outcomes = members.reduce((acc, member) => {
+        spend(acc.length * member.size * OUTCOME_WORK);
+        return merge(acc.flatMap(({ values, p }) => [...member].map(
+            ([total, pm]) => ({ values: [...values, total].sort(asc), rest: 0, p: p * pm }),
+        )));
+    }, [{ values: [], rest: 0, p: 1 }]);
+    const select = values => modifiers.reduce((acc, { func, arg }) => selections[func](arg).keep(acc), values);
+    const totals = new Map();
+    outcomes.forEach(({ values, p }) => {
+        const total = select(values).reduce(sum, 0);
+        totals.set(total, (totals.get(total) || 0) + p);
+    });
+    return totals;
+};
+
+/**
+ * Creates the error for a reference in an expression whose distribution is wanted, since references have no values.
+ * @ignore
+ */
+const unknownReference = (expr, reference) => locate(
+    new MissingReferenceError(`"@${reference.name}" has no value; distributions can't use references`),
+    expr,
+    reference,
+);
+
+/**
+ * Creates a function computing distributions of expressions as they are read by the given parser, with its own cache
+ * of computed distributions. The cache holds as many distributions as the parser's cache holds expressions, and the
+ * function has `clearCache` and `cacheStats` methods like the parser's.
+ *
+ * @param {Parser} parser The parser whose limits, rounding, tie rule and cache size apply.
+ * @returns {function} A function like {@link distribution}.
+ */
+export const createDistribution = ({ parseAst, limits, rounding, cacheSize, ties }) => {
+    /**
+     * Computes the probability of each value of part of an expression.
+     *
+     * @param {string} expr The expression, used in errors.
+     * @param {AstNode} node The syntax tree of the part of the expression.
+     * @param {boolean} exact Whether divisions are left unrounded because a rounding function will round them.
+     * @returns {Map<number, number>} The probability of each value.
+     * @throws {DistributionTooComplexError} When the part is too complex, located at the smallest such part.
+     */
+    const values = (expr, node, exact) => {
+        try {
+            return partValues(expr, node, exact);
+        } catch (error) {
+            throw locate(error, expr, node);
+        }
+    };
+    /**
+     * Computes the probability of each value of part of an expression, as {@link values} does but without locating
+     * errors.
+     * @ignore
+     */
+    const partValues = (expr, node, exact) => {
+        switch (node.type) {
+            case 'constant':
+                return new Map([[node.value, 1]]);
+            case 'reference':
+                throw unknownReference(expr, node);
+            case 'dice': {
+                const [reference] = diceReferences(node);
+                if (reference) {
+                    throw unknownReference(expr, reference);
+                }
+                if (node.symbols) {
+                    const error = new InvalidChunkError('Distributions of narrative dice are not supported');
+                    throw locate(error, expr, node);
+                }
+                const custom = node.modifiers.find(modifier => modifier.custom);
+                if (custom) {
+                    const message = `Distributions of custom modifiers are not supported: ${custom.text}`;
+                    throw locate(new InvalidChunkError(message), expr, custom);
+                }
+                return toMap(diceDensity(node, limits));
+            }
+            case 'negate':
+                return mapValues(values(expr, node.operand, exact), x => -x);
+            case 'call': {
+                const args = node.args.map(arg => values(expr, arg, exactArgs(node.name, exact)));
+                return callValues(args, expressionFunctions[node.name]);
+            }
+            case 'group': {
+                const [reference] = diceReferences(node);
+                if (reference) {
+                    throw unknownReference(expr, reference);
+                }
+                const members = node.members.map(member => values(expr, member, exact));
+                return node.modifiers.length === 0 ? members.reduce(add) : groupValues(members, node.modifiers);
+            }
+            case 'repeat':
+                // Each repetition is rolled independently, so all of them share the distribution of one.
+                return values(expr, node.body, exact);
+            case 'compare':
+                // The sides are rolled independently, and compared by their margin.
+                return add(values(expr, node.left, exact), mapValues(values(expr, node.right, exact), x => -x));
+        }
+        const left = values(expr, node.left, exact);
+        const right = values(expr, node.right, exact);
+        switch (node.op) {
+            case '+': return add(left, right);
+            case '-': return add(left, mapValues(right, x => -x));
+            case '*': return combine(left, right, (x, y) => x * y);
+        }
+        const round = exact ? identity : roundingFunctions[rounding];
+        return combine(left, right, (x, y) => y === 0 ? undefined : round(x / y));
+    };
+    return memoizeBounded(expr => {
+        const { body } = parseAst(expr);
+        spent = 0;
+        const summary = summarise(expr, values(expr, body, false));
+        const root = body.type === 'repeat' ? body.body : body;
+        if (root.type !== 'compare') {
+            return summary;
+        }
+        const success = [...summary.probabilities]
+            .filter(([margin]) => comparisonWinner(root.op, ties, margin) === 'left')
+            .map(([, p]) => p)
+            .reduce(sum, 0);
+        return { ...summary, success };
+    }, cacheSize);
+};
+/**
+ * Computes the exact probability distribution of the total of a dice expression. The expression is read in the same
+ * way as by `parse`, and every built-in modifier is supported. Exploding dice are cut off at the roll limit, so rolls
+ * which would exceed the limit are counted as though the last die did not explode. For a comparison, it is the
+ * distribution of the margin between the sides, with the probability of success.
+ *
+ * @function
+ * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+ * @returns {Distribution} The distribution of the total of the expression.
+ */
+export const distribution = createDistribution(defaultParser);
+
+export default distribution;
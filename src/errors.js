@@ -0,0 +1,115 @@
+/**
+ * @file Errors thrown while parsing or rolling dice expressions.
+ */
+
+/**
+ * @typedef {object} ErrorDetails
+ * @property {number} [offset] The offset of the first character at fault in the original expression, including
+ * whitespace.
+ * @property {number} [length] The number of characters at fault, from the offset.
+ * @property {string} [token] The text at fault, as it appears in the original expression.
+ * @property {number} [limit] The limit which was exceeded.
+ * @property {number} [actual] The value which exceeded the limit.
+ */
+
+/**
+ * The base of every error thrown while parsing or rolling dice expressions. Besides its message, each error has a
+ * `code` saying what went wrong, and any details that are known about where and why; details which aren't known or
+ * don't apply are undefined.
+ */
+export class DiceError extends Error {
+    /**
+     * @param {string} message A description of the error.
+     * @param {ErrorDetails} [details] Where and why the error happened.
+     */
+    constructor(message, { offset, length, token, limit, actual } = {}) {
+        super(message);
+        this.code = this.constructor.code;
+        this.offset = offset;
+        this.length = length;
+        this.token = token;
+        this.limit = limit;
+        this.actual = actual;
+    }
+
+    static code = 'DICE_ERROR';
+}
+
+/**
+ * Indicates the expression is too long to parse.
+ */
+export class ExpressionTooLongError extends DiceError {
+    static code = 'EXPRESSION_TOO_LONG';
+}
+
+/**
+ * Indicates invalid chunks were found while parsing an expression.
+ */
+export class InvalidChunkError extends DiceError {
+    static code = 'INVALID_CHUNK';
+}
+
+/**
+ * Indicates one or more chunks in the expression use a dice with too many sides
+ */
+export class DieTooBigError extends DiceError {
+    static code = 'DIE_TOO_BIG';
+}
+
+/**
+ * Indicates the chunks in the expression, combined, use too many dice.
+ */
+export class TooManyDiceError extends DiceError {
+    static code = 'TOO_MANY_DICE';
+}
+
+/**
+ * Indicates that a dice expression was terminated early because it tried to use too many dice. This error captures
+ * cases where TooManyDiceError wasn't triggered at parse time, but modifiers resulted in exceeding the limit later on.
+ */
+export class RollLimitExceededError extends DiceError {
+    static code = 'ROLL_LIMIT_EXCEEDED';
+}
+
+/**
+ * Indicates that a dice expression contained too many chunks, not including whitespace.
+ */
+export class TooManyChunksError extends DiceError {
+    static code = 'TOO_MANY_CHUNKS';
+}
+
+/**
+ * Indicates that a roll divided by zero, e.g. "5/dF" when the fudge die rolled a blank.
+ */
+export class DivisionByZeroError extends DiceError {
+    static code = 'DIVISION_BY_ZERO';
+}
+
+/**
+ * Indicates that a modifier could never finish, e.g. "d6rr<7" which would reroll every face forever.
+ */
+export class ImpossibleConditionError extends DiceError {
+    static code = 'IMPOSSIBLE_CONDITION';
+}
+
+/**
+ * Indicates a named reference in the expression, like "@str", has no value in the context it was rolled with.
+ */
+export class MissingReferenceError extends DiceError {
+    static code = 'MISSING_REFERENCE';
+}
+
+/**
+ * Indicates a named reference has a value which can't be used, like a string, or a fraction as a dice count.
+ */
+export class InvalidReferenceError extends DiceError {
+    static code = 'INVALID_REFERENCE';
+}
+
+/**
+ * Indicates that the exact distribution of an expression would take too long to compute, e.g. "100d1000!" which has
+ * too many totals to combine.
+ */
+export class DistributionTooComplexError extends DiceError {
+    static code = 'DISTRIBUTION_TOO_COMPLEX';
+}
@@ -0,0 +1,627 @@
+/**
+ * @file Tokenizes dice expressions like "(2d6+3)*2" and parses them into a syntax tree, respecting the usual
+ * precedence of arithmetic operators.
+ */
+import toLower from 'lodash/toLower.js';
+import toSafeInteger from 'lodash/toSafeInteger.js';
+import toString from 'lodash/toString.js';
+
+import { DiceError, ExpressionTooLongError, InvalidChunkError, TooManyChunksError } from './errors.js';
+import { isSymbols } from './narrative.js';
+
+/**
+ * Matches a named reference like @str, whose value is given when the expression is rolled. A name ends at the first
+ * character which can't be part of it; a space may also end it, and is then kept as the only space in the tokenized
+ * text, so that "@lvl d6" rolls @lvl dice rather than referring to "lvld6".
+ *
+ * @type {string}
+ */
+export const REFERENCE = '@[a-z_][a-z0-9_]*';
+
+/**
+ * Matches a reference used as a dice count or modifier argument, with any space which ended it.
+ * @ignore
+ */
+const REFERENCE_ARG = `${REFERENCE} ?`;
+
+/**
+ * Matches keep and drop modifiers, which may also follow a group.
+ * @ignore
+ */
+const KEEP_DROP = `[dk][lh](?:${REFERENCE_ARG}|\\d*)`;
+
+/**
+ * Patterns for the argument of a modifier, by the name of its grammar:
+ *  - none, no argument
+ *  - number, a number, which may be negative, or a reference
+ *  - compare, like number, or a compare point like <3, <=3, >9, >=9 or =5
+ *
+ * Arguments may be left out, except in a compare point. A sign is only taken as part of an argument when digits
+ * follow it, so that in "d6r + d4" the argument is left out and the sign begins the next chunk.
+ *
+ * @type {Object<string, string>}
+ */
+export const MODIFIER_ARGS = Object.freeze({
+    none: '',
+    number: `(?:${REFERENCE_ARG}|(?:[+-]?\\d+)?)`,
+    compare: `(?:(?:[<>]=?|=)(?:[+-]?\\d+|${REFERENCE_ARG})|${REFERENCE_ARG}|(?:[+-]?\\d+)?)`,
+});
+
+/**
+ * Matches modifiers used in dice expressions.
+ *  - rN discard and reroll Ns
+ *  - rrN discard and reroll Ns until something else is rolled
+ *  - tN count Ns twice
+ *  - dN, kN, dlN, dhN, klN, khN drop lowest or keep highest N
+ *  - !N explode on N (keep and reroll)
+ *  - !!N compounding explode on N, adding the rerolls to the die which exploded
+ *  - !pN penetrating explode on N, subtracting 1 from each reroll
+ *  - csN, cfN mark a critical success or a fumble on N
+ *
+ * The argument of r, rr, t, !, !!, !p, cs and cf may instead be a compare point like <3, <=3, >9, >=9 or =5. Any
+ * argument may be a reference.
+ *
+ * @type {string}
+ */
+export const DICE_MODIFIERS = `${KEEP_DROP}|(?:rr|!!|!p|c[sf]|[rt!])${MODIFIER_ARGS.compare}`;
+
+/**
+ * Matches targets used in dice expressions, which make a pool count successes rather than sum its rolls.
+ *  - >N, >=N, <N, <=N count each roll compared to N as a success
+ *  - fN, f>N, f>=N, f<N, f<=N count each roll equal or compared to N as a failure, which cancels a success
+ *
+ * Any argument may be a reference.
+ *
+ * @type {string}
+ */
+export const DICE_TARGETS = `[<>]=?(?:[+-]?\\d+|${REFERENCE_ARG})`
+    + `|f(?:[<>]=?(?:[+-]?\\d+|${REFERENCE_ARG})|${REFERENCE_ARG}|(?:[+-]?\\d+)?)`;
+
+/**
+ * Matches a list of the faces of a custom die, like {0,0,1,1,2,3}.
+ * @ignore
+ */
+const FACE_LIST = '\\{[+-]?\\d+(?:,[+-]?\\d+)*\\}';
+
+/**
+ * Matches the modifiers of a dice chunk, including any custom modifiers, which are tried first.
+ * @ignore
+ */
+const modifierPattern = custom => custom ? `${custom}|${DICE_MODIFIERS}` : DICE_MODIFIERS;
+
+/**
+ * Builds the pattern matching a dice chunk, where the die may also be one of the given names. Names are tried first,
+ * longest first, so that a name is never read as a shorter name or a built-in die followed by modifiers. Custom
+ * modifiers may be chained with the built-in ones.
+ * @ignore
+ */
+const dicePattern = (names, custom) => `(?<num>\\d*|${REFERENCE_ARG})`
+    + `d(?<die>${names.map(name => `${name}|`).join('')}f|%|[\\d]+|${FACE_LIST})`
+    + `(?<modifiers>(?:${modifierPattern(custom)})*(?:${DICE_TARGETS})*)`;
+
+/**
+ * Matches a dice expression like 2d4, d%, dF or d{0,0,1,1,2,3}, maybe followed by a chain of complex modifiers and
+ * then by targets. The number of dice may be a reference. Dice registered by name are matched by {@link matchDice}.
+ *
+ * @type {string}
+ */
+export const DICE_CHUNK = dicePattern([]);
+
+/**
+ * The faces of each die registered by name.
+ * @ignore
+ */
+const namedDice = new Map();
+
+/**
+ * The names of registered dice, longest first, and the pattern matching a dice chunk which includes them. Both are
+ * rebuilt whenever a die is registered.
+ * @ignore
+ */
+let diceNames = [];
+let diceChunk = DICE_CHUNK;
+
+/**
+ * The token patterns for dice chunks, by the pattern of the custom modifiers they include. Emptied whenever a die is
+ * registered.
+ * @ignore
+ */
+const diceTokens = new Map();
+
+/**
+ * Gives the token pattern for dice chunks with the given custom modifiers.
+ * @ignore
+ */
+const diceToken = custom => {
+    if (!diceTokens.has(custom)) {
+        diceTokens.set(custom, new RegExp(dicePattern(diceNames, custom), 'y'));
+    }
+    return diceTokens.get(custom);
+};
+
+/**
+ * Registers a die with a list of faces under a name, so that expressions can roll it like any other die, e.g.
+ * `registerDie('avg', [2, 3, 3, 4, 4, 5])` for "2davg". Names are not case sensitive. Since rolls of a name are
+ * cached, a die can't be registered again, nor can a name which already reads as a die, like "fr" for "dF" rerolled.
+ * A narrative die has faces which show symbols, like `{ success: 1, advantage: 1 }`, rather than numbers.
+ *
+ * @param {string} name The name, a letter followed by any letters, digits and underscores.
+ * @param {Array<number>|Array<Symbols>} faces The value or symbols of each face, in order; faces may repeat.
+ * @throws {TypeError} When the name or faces are invalid, or the name is already taken.
+ */
+export const registerDie = (name, faces) => {
+    const key = toLower(name);
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(key)) {
+        throw new TypeError(`Invalid die name: ${name}`);
+    }
+    if (new RegExp(`^${diceChunk}$`).test(`d${key}`)) {
+        throw new TypeError(`Die name is already taken: "d${key}" already reads as a die`);
+    }
+    if (!Array.isArray(faces) || faces.length === 0
+        || !(faces.every(Number.isSafeInteger) || faces.every(isSymbols))) {
+        throw new TypeError(
+            `Faces of die "${name}" must be a list of whole numbers or of symbol counts: ${JSON.stringify(faces)}`,
+        );
+    }
+    namedDice.set(key, Object.freeze(faces.map(face => Object.isFrozen(face) ? face : Object.freeze({ ...face }))));
+    diceNames = [...namedDice.keys()].sort((a, b) => b.length - a.length);
+    diceChunk = dicePattern(diceNames);
+    diceTokens.clear();
+};
+
+/**
+ * Reads the parts of a dice chunk, including dice registered by name.
+ *
+ * @param {string} chunk The dice chunk, e.g. "4davgkh3".
+ * @returns {{num: string, die: string, modifiers: string}} The number of dice, the die and its modifiers as text.
+ */
+export const matchDice = chunk => chunk.match(diceChunk).groups;
+
+/**
+ * Finds the faces of a custom die, given as a face list like "{0,0,1}" or by the name it was registered under.
+ *
+ * @param {string} die The die part of a dice chunk, e.g. "6", "f", "{0,0,1}" or "avg".
+ * @returns {Array<number>|undefined} The value of each face, or undefined for a built-in die.
+ */
+export const customFaces = die => die.startsWith('{')
+    ? die.slice(1, -1).split(',').map(toSafeInteger)
+    : namedDice.get(die);
+
+/**
+ * The functions which may be called in expressions, with how many arguments each takes: floor, ceil and round, which
+ * round their argument, abs, min and max of two arguments, and clamp, which limits its first argument to the range
+ * given by the other two.
+ *
+ * @type {Object<string, number>}
+ */
+export const FUNCTIONS = Object.freeze({ floor: 1, ceil: 1, round: 1, abs: 1, min: 2, max: 2, clamp: 3 });
+
+/**
+ * The words which are read as something other than a modifier: the names of functions, the "vs" of a contest and the
+ * "x" of a repetition. A custom modifier which began one of them, or began with one, would change how expressions
+ * using them are read.
+ *
+ * @type {Array<string>}
+ */
+export const RESERVED_WORDS = Object.freeze([...Object.keys(FUNCTIONS), 'vs', 'x']);
+
+/**
+ * Patterns for each type of token, tried in order at each position in the expression. Repetitions and dice are tried
+ * before numbers since they may start with a number. The "x" of a repetition is followed by a space, or directly by
+ * anything but a number, as in "6x4d6kh3", since "6x6" is too easily mistaken for multiplication. The end of a group includes any keep and drop modifiers. The
+ * dice pattern is left out, since it changes as dice are registered. A label is any text in square brackets.
+ *
+ * @type {Array<Array>}
+ */
+const TOKEN_PATTERNS = [
+    ['function', new RegExp(`(?:${Object.keys(FUNCTIONS).join('|')})(?=\\()`, 'y')],
+    ['repeat', /\d+x(?: |(?=\d*d|[a-z@({]))/y],
+    ['dice', null],
+    ['number', /\d+/y],
+    ['reference', new RegExp(REFERENCE, 'y')],
+    ['label', /\[[^[\]]*\]/y],
+    ['operator', /[-+*/]/y],
+    ['comparison', /vs|[<>]=?|=/y],
+    ['open', /\(/y],
+    ['close', /\)/y],
+    ['open-group', /\{/y],
+    ['close-group', new RegExp(`\\}(?<modifiers>(?:${KEEP_DROP})*)`, 'y')],
+    ['comma', /,/y],
+];
+
+/**
+ * @typedef {object} Token
+ * @property {string} type The type of token: function, repeat, dice, number, reference, label, operator, comparison,
+ * open, close, open-group, close-group or comma; or modifier, for the modifiers within a dice or close-group token.
+ * @property {string} text The text of the token, in lower case and without whitespace, except for a space which ends a
+ * reference within a dice token.
+ * @property {number} start The offset of the first character of the token in the original expression.
+ * @property {number} end The offset after the last character of the token in the original expression.
+ * @property {Array<Token>} [modifiers] For a dice or close-group token, the modifiers and targets it contains, in
+ * order.
+ * @property {Token} [reference] For a dice or modifier token, the reference giving its dice count or argument.
+ * @property {string} [label] For a label token, the label as written in the original expression, without the brackets
+ * and surrounding whitespace.
+ */
+
+/**
+ * Removes whitespace from an expression, remembering where each remaining character was in the original. Whitespace
+ * which ends the name of a reference, or the count of a repetition like "6x 4d6", is kept as a single space, and
+ * whitespace within a label like "[cold iron]" is kept as it is.
+ *
+ * @param {string} expr The expression.
+ * @returns {{text: string, offsets: Array<number>}} The expression without whitespace, and the original offset of
+ * each of its characters followed by the length of the original.
+ */
+const stripWhitespace = expr => {
+    const offsets = [];
+    let text = '';
+    let inName = false;
+    let inLabel = false;
+    for (let i = 0; i < expr.length; i++) {
+        if (inLabel || expr[i] !== ' ') {
+            inLabel = expr[i] === '[' || (inLabel && expr[i] !== ']');
+            inName = !inLabel && (expr[i] === '@' || (inName && /[a-z0-9_]/.test(expr[i])));
+            text += expr[i];
+            offsets.push(i);
+        } else if ((inName || /^\d+x$/.test(text)) && !text.endsWith(' ')) {
+            inName = false;
+            text += ' ';
+            offsets.push(i);
+        }
+    }
+    offsets.push(expr.length);
+    return { text, offsets };
+};
+
+/**
+ * Describes where part of an expression is, for the details of an error.
+ *
+ * @param {string} expr The original expression.
+ * @param {number} start The offset of the first character of the part in the original expression.
+ * @param {number} end The offset after the last character of the part in the original expression.
+ * @returns {ErrorDetails} The offset, length and text of the part.
+ */
+export const span = (expr, start, end) => ({ offset: start, length: end - start, token: toString(expr).slice(start, end) });
+
+/**
+ * Adds the location of part of an expression to an error, unless it already has a location.
+ *
+ * @param {Error} error The error; errors other than a {@link DiceError} are left alone.
+ * @param {string} expr The original expression.
+ * @param {{start: number, end: number}} part The part of the expression at fault, e.g. a {@link Node}.
+ * @returns {Error} The error.
+ */
+export const locate = (error, expr, { start, end }) => {
+    if (error instanceof DiceError && error.offset === undefined) {
+        Object.assign(error, span(expr, start, end));
+    }
+    return error;
+};
+
+/**
+ * Finds the first token which matches at a position in an expression.
+ * @ignore
+ */
+const matchAt = (text, position, custom) => TOKEN_PATTERNS.map(([type, pattern]) => {
+    // The dice pattern changes as dice and modifiers are registered.
+    pattern = pattern || diceToken(custom);
+    pattern.lastIndex = position;
+    const found = pattern.exec(text);
+    return found && { type, text: found[0], groups: found.groups };
+}).find(found => found && found.text.length > 0);
+
+/**
+ * Splits a chain of modifiers from a dice chunk into the individual modifier tokens, in the order they are applied.
+ *
+ * @param {string} modifiers The modifier part of a dice chunk, e.g. "r1kh3".
+ * @param {string} [custom] The pattern matching any custom modifiers, which are tried before the built-in ones.
+ * @returns {Array<{text: string, index: number}>} The modifier tokens and where each starts in the chain, e.g.
+ * "r1" at 0 and "kh3" at 2.
+ */
+export const splitModifiers = (modifiers, custom) => Array.from(
+    toString(modifiers).matchAll(new RegExp(`${modifierPattern(custom)}|${DICE_TARGETS}`, 'g')),
+    found => ({ text: found[0].trimEnd(), index: found.index }),
+);
+
+/**
+ * Splits an expression into tokens. Whitespace is ignored, even within tokens, and the expression is not case
+ * sensitive.
+ *
+ * @param {string} expr The expression.
+ * @param {object} [options] How to read the expression.
+ * @param {string} [options.modifiers] The pattern matching any custom modifiers which dice chunks may have, made of
+ * alternatives like "min\d*".
+ * @returns {Array<Token>} The tokens in the expression.
+ */
+export const tokenize = (expr, { modifiers: custom } = {}) => {
+    const { text, offsets } = stripWhitespace(toLower(toString(expr)));
+    const tokens = [];
+    let position = 0;
+    while (position < text.length) {
+        if (text[position] === ' ') {
+            position++;
+            continue;
+        }
+        const match = matchAt(text, position, custom);
+        if (!match) {
+            // The invalid part runs until the next token.
+            let end = position + 1;
+            while (end < text.length && !matchAt(text, end, custom)) {
+                end++;
+            }
+            throw new InvalidChunkError(
+                `"${expr}" contains invalid or unsupported parts: ${text.substr(position)}`,
+                span(expr, offsets[position], offsets[end - 1] + 1),
+            );
+        }
+        const { type, text: matched, groups } = match;
+        const end = position + matched.length;
+        const locateAt = (from, to) => ({ start: offsets[from], end: offsets[to - 1] + 1 });
+        // Finds any reference within part of the token.
+        const referenceAt = (from, part) => {
+            const found = toString(part).match(REFERENCE);
+            if (!found) {
+                return {};
+            }
+            const at = from + found.index;
+            return { reference: { type: 'reference', text: found[0], ...locateAt(at, at + found[0].length) } };
+        };
+        // A space which ended a reference at the end of the token isn't part of it.
+        const trimmed = matched.trimEnd();
+        const token = { type, text: trimmed, ...locateAt(position, position + trimmed.length) };
+        if (type === 'dice') {
+            Object.assign(token, referenceAt(position, groups.num));
+        }
+        if (type === 'label') {
+            // The label keeps its case, which the text of the token has lost.
+            token.label = toString(expr).slice(token.start + 1, token.end - 1).trim();
+        }
+        if (groups && groups.modifiers !== undefined) {
+            // The modifiers come at the end of the token.
+            const chain = end - groups.modifiers.length;
+            token.modifiers = splitModifiers(groups.modifiers, custom).map(({ text: modifier, index }) => ({
+                type: 'modifier',
+                text: modifier,
+                ...locateAt(chain + index, chain + index + modifier.length),
+                ...referenceAt(chain + index, modifier),
+            }));
+        }
+        tokens.push(token);
+        position = end;
+    }
+    return tokens;
+};
+
+/**
+ * @typedef {object} Node
+ * @property {string} type The type of node:
+ *  - constant, a number with a `value`
+ *  - reference, a named reference with its `name`, without the @, whose value is given when rolling
+ *  - dice, a dice chunk with its `text`, e.g. "4d6kh3", and its `modifiers`, a list of modifier tokens
+ *  - negate, the negation of an `operand`
+ *  - binary, an `op` (one of + - * /) applied to a `left` and `right` operand
+ *  - call, a function `name`, one of {@link FUNCTIONS}, applied to a list of `args`
+ *  - group, a list of `members` whose totals are added, after applying its keep and drop `modifiers` to them
+ *  - compare, an `op` (one of vs <= >= < > =) comparing the totals of a `left` and `right` side; only the root, or
+ *    the body of a repetition, may be a comparison. An operator after dice is read as a target or compare point of
+ *    the dice, so dice ending the left side are put in parentheses, as in "(3d6) <= 12".
+ *  - repeat, a `body` rolled `count` times; only the root may be a repetition
+ * @property {number} start The offset of the first character of the node in the original expression.
+ * @property {number} end The offset after the last character of the node in the original expression.
+ * @property {string} [label] For a constant, reference or dice node, the label given to the chunk, e.g. "fire" for
+ * "2d6[fire]". The node ends before the label.
+ */
+
+/**
+ * Parses a list of tokens into a syntax tree, using a recursive descent parser. The grammar is:
+ *
+ *     root    := repeat? compare
+ *     compare := sum (comparison sum)?
+ *     sum     := product (("+" | "-") product)*
+ *     product := unary (("*" | "/") unary)*
+ *     unary   := ("+" | "-")? primary
+ *     primary := number | reference | dice | "(" sum ")" | function "(" sum ("," sum)* ")"
+ *              | "{" sum ("," sum)* "}" modifiers
+ *
+ * A sign may only begin a sum or follow "*" or "/"; expressions like "1+-2" are rejected as confusing.
+ *
+ * @param {string} expr The expression the tokens came from, used in error messages.
+ * @param {Array<Token>} tokens The tokens.
+ * @returns {Node} The root of the syntax tree.
+ */
+const parseTokens = (expr, tokens) => {
+    let index = 0;
+    const peek = () => tokens[index];
+    const fail = () => {
+        const token = peek();
+        throw token
+            ? new InvalidChunkError(
+                `"${expr}" contains invalid or unsupported parts: ${token.text}`,
+                span(expr, token.start, token.end),
+            )
+            : new InvalidChunkError(`"${expr}" ends unexpectedly`, span(expr, expr.length, expr.length));
+    };
+    const expect = type => {
+        const token = peek();
+        if (!token || token.type !== type) {
+            fail();
+        }
+        index++;
+        return token;
+    };
+    const isOperator = (...ops) => peek() && peek().type === 'operator' && ops.includes(peek().text);
+    // A chunk may be followed by a label.
+    const labelled = node => {
+        const token = peek();
+        if (!token || token.type !== 'label') {
+            return node;
+        }
+        if (token.label.length === 0) {
+            throw new InvalidChunkError(`"${expr}" has an empty label`, span(expr, token.start, token.end));
+        }
+        index++;
+        return { ...node, label: token.label };
+    };
+
+    const primary = () => {
+        const token = peek();
+        switch (token && token.type) {
+            case 'number': {
+                index++;
+                const { start, end } = token;
+                return labelled({ type: 'constant', value: toSafeInteger(token.text), start, end });
+            }
+            case 'reference':
+                index++;
+                return labelled(referenceNode(token));
+            case 'dice':
+                index++;
+                return labelled({ ...token });
+            case 'open': {
+                index++;
+                const inner = sum(true);
+                expect('close');
+                return inner;
+            }
+            case 'function': {
+                index++;
+                expect('open');
+                const args = [sum(true)];
+                while (peek() && peek().type === 'comma') {
+                    index++;
+                    args.push(sum(true));
+                }
+                const close = expect('close');
+                const arity = FUNCTIONS[token.text];
+                if (args.length !== arity) {
+                    throw new InvalidChunkError(
+                        `"${expr}" calls ${token.text} with the wrong number of arguments: ${args.length}, not ${arity}`,
+                        span(expr, token.start, close.end),
+                    );
+                }
+                return { type: 'call', name: token.text, args, start: token.start, end: close.end };
+            }
+            case 'open-group': {
+                index++;
+                const members = [sum(true)];
+                while (peek() && peek().type === 'comma') {
+                    index++;
+                    members.push(sum(true));
+                }
+                const close = expect('close-group');
+                return { type: 'group', members, modifiers: close.modifiers, start: token.start, end: close.end };
+            }
+        }
+        fail();
+    };
+    const unary = allowSign => {
+        if (allowSign && isOperator('+', '-')) {
+            const sign = tokens[index++];
+            const operand = primary();
+            return sign.text === '-' ? { type: 'negate', operand, start: sign.start, end: operand.end } : operand;
+        }
+        return primary();
+    };
+    const product = allowSign => {
+        let left = unary(allowSign);
+        while (isOperator('*', '/')) {
+            const op = tokens[index++].text;
+            const right = unary(true);
+            left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+    const sum = allowSign => {
+        let left = product(allowSign);
+        while (isOperator('+', '-')) {
+            const op = tokens[index++].text;
+            const right = product(false);
+            left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+
+    const compare = () => {
+        const left = sum(true);
+        if (!peek() || peek().type !== 'comparison') {
+            return left;
+        }
+        const op = tokens[index++].text;
+        const right = sum(true);
+        return { type: 'compare', op, left, right, start: left.start, end: right.end };
+    };
+
+    const repeat = peek() && peek().type === 'repeat' ? tokens[index++] : undefined;
+    const root = compare();
+    if (index < tokens.length) {
+        fail();
+    }
+    if (!repeat) {
+        return root;
+    }
+    const count = toSafeInteger(repeat.text.slice(0, -1));
+    return { type: 'repeat', count, body: root, start: repeat.start, end: root.end };
+};
+
+/**
+ * Creates the syntax tree node for a reference token.
+ *
+ * @param {Token} token The reference token, e.g. for "@str".
+ * @returns {Node} The reference node, named without the @.
+ */
+export const referenceNode = ({ text, start, end }) => ({ type: 'reference', name: text.slice(1), start, end });
+
+/**
+ * Transforms a syntax tree from the leaves up: each node is passed to the function once its operands have been
+ * transformed, and is replaced by whatever the function returns.
+ *
+ * @param {Node} node The root of the syntax tree.
+ * @param {function} f The function transforming each node.
+ * @returns {Node} The root of the transformed tree.
+ */
+export const mapNodes = (node, f) => {
+    switch (node.type) {
+        case 'negate':
+            return f({ ...node, operand: mapNodes(node.operand, f) });
+        case 'binary':
+        case 'compare':
+            return f({ ...node, left: mapNodes(node.left, f), right: mapNodes(node.right, f) });
+        case 'call':
+            return f({ ...node, args: node.args.map(arg => mapNodes(arg, f)) });
+        case 'group':
+            return f({ ...node, members: node.members.map(member => mapNodes(member, f)) });
+        case 'repeat':
+            return f({ ...node, body: mapNodes(node.body, f) });
+    }
+    return f(node);
+};
+
+/**
+ * Parses a dice expression into a syntax tree, checking it against the expression limits.
+ *
+ * @param {string} expr A full dice expression, e.g. "(2d6+3)*2".
+ * @param {Limits} limits The limits to check against; only `maxLength` and `maxChunks` are used.
+ * @param {object} [options] How to read the expression; see {@link tokenize}.
+ * @returns {Node} The root of the syntax tree.
+ */
+export const parseExpression = (expr, { maxLength, maxChunks }, options) => {
+    if (expr.length > maxLength) {
+        throw new ExpressionTooLongError(`Expression is too long: ${expr.length} > ${maxLength}`, {
+            ...span(expr, maxLength, expr.length),
+            limit: maxLength,
+            actual: expr.length,
+        });
+    }
+    const tokens = tokenize(expr, options);
+    const chunks = tokens.filter(({ type }) => type === 'number' || type === 'reference' || type === 'dice');
+    if (chunks.length > maxChunks) {
+        const { start, end } = chunks[maxChunks];
+        throw new TooManyChunksError(`Expression contains too many chunks: ${chunks.length} > ${maxChunks}`, {
+            ...span(expr, start, end),
+            limit: maxChunks,
+            actual: chunks.length,
+        });
+    }
+    return parseTokens(expr, tokens);
+};
@@ -1,165 +1,369 @@
 /**
- * @file Supports parsing of dice expression chunks like "3d6" or "+2" to produce callable roll functions.
+ * @file Supports parsing of dice expressions like "3d6+2" or "(2d6+3)*2" to produce callable roll functions.
  */
-import curry from 'lodash/curry.js';
-import dropWhile from 'lodash/dropWhile.js';
+import defaults from 'lodash/defaults.js';
 import flow from 'lodash/flow.js';
+import groupBy from 'lodash/groupBy.js';
+import identity from 'lodash/identity.js';
 import isNil from 'lodash/isNil.js';
-import memoize from 'lodash/memoize.js';
-import takeWhile from 'lodash/takeWhile.js';
-import toSafeInteger from 'lodash/toSafeInteger.js';
-import toString from 'lodash/toString.js';
+import isObject from 'lodash/isObject.js';
+import last from 'lodash/last.js';
+import mapValues from 'lodash/mapValues.js';
+import once from 'lodash/once.js';
+import pick from 'lodash/pick.js';
+import range from 'lodash/range.js';
 import toLower from 'lodash/toLower.js';
+import toSafeInteger from 'lodash/toSafeInteger.js';
+import uniq from 'lodash/uniq.js';
 
+import {
+    DiceError,
+    DieTooBigError,
+    DivisionByZeroError,
+    ExpressionTooLongError,
+    ImpossibleConditionError,
+    InvalidChunkError,
+    InvalidReferenceError,
+    MissingReferenceError,
+    RollLimitExceededError,
+    TooManyDiceError,
+} from './errors.js';
+import {
+    customFaces,
+    DICE_MODIFIERS,
+    DICE_TARGETS,
+    locate,
+    mapNodes,
+    matchDice,
+    MODIFIER_ARGS,
+    parseExpression,
+    referenceNode,
+    RESERVED_WORDS,
+    span,
+    splitModifiers,
+} from './expression.js';
+import { checkCacheSize, DEFAULT_CACHE_SIZE, memoizeBounded } from './cache.js';
+import { isNarrative, negateSymbols, tallySymbols } from './narrative.js';
 import random from './random.js';
+import { asc, sum } from './util.js';
+
+export * from './errors.js';
+export { MODIFIER_ARGS, registerDie, tokenize } from './expression.js';
 
 /**
- * Helper for reducing values via summation.
+ * Comparator for descending sort of numbers.
  * @ignore
  */
-const sum = (acc, val) => acc + val;
+const desc = (a, b) => b - a;
 
 /**
- * Comparator for ascending sort of numbers.
- * @ignore
+ * The larges number of chunks allowed in one expression.
  */
-const asc = (a, b) => a - b;
+const MAX_CHUNKS = 10;
 
 /**
- * Comparator for descending sort of numbers.
- * @ignore
+ * The largest number of dice that may be performed by one chunk, including modifiers, and also the 
+ * largest allowable static dice pool.
  */
-const desc = (a, b) => b - a;
+const MAX_DICE = 100;
 
 /**
- * Replace all instances of one string in another.
+ * The largest number of faces allowed on any die in a roll expression.
+ */
+const MAX_FACES = 1000;
+
+/**
+ * The largest expression that may be parsed.
+ */
+const MAX_LENGTH = 60;
+
+/**
+ * @typedef {object} Limits
+ * @property {number} maxChunks The largest number of chunks allowed in one expression.
+ * @property {number} maxDice The largest allowable static dice pool.
+ * @property {number} maxFaces The largest number of faces allowed on any die.
+ * @property {number} maxLength The largest expression that may be parsed.
+ * @property {number} maxExplosions The largest number of dice that a pool may grow to through explosions, which also
+ * limits how many times its dice may be rerolled until valid.
+ */
+
+/**
+ * The limits used by parsers when no others are given.
  * 
- * @function
- * @param {string} needle What to find.
- * @param {string} newneedle What to replace it with.
- * @param {string} haystack What to look in.
- * @returns {string} Replacement haystack.
+ * @type {Limits}
  */
-const replaceAll = curry((needle, newNeedle, haystack) => haystack.split(needle).join(newNeedle));
+export const DEFAULT_LIMITS = Object.freeze({
+    maxChunks: MAX_CHUNKS,
+    maxDice: MAX_DICE,
+    maxFaces: MAX_FACES,
+    maxLength: MAX_LENGTH,
+    maxExplosions: MAX_DICE,
+});
 
 /**
- * Indicates the expression is too long to parse.
+ * @name ModifierFunction
+ * @function 
+ * @param {Array<number>} rolls The initial rolls to modify.
+ * @returns {Array<number>} Replacement rolls after modification.
  */
-export class ExpressionTooLongError extends Error { }
 
 /**
- * Indicates invalid chunks were found while parsing an expression.
+ * @typedef {object} Die
+ * @property {number} face The value showing on the die.
+ * @property {number} original The value first rolled on the die, before any reroll.
+ * @property {boolean} kept Whether the die counts towards the result.
+ * @property {boolean} dropped Whether the die was discarded by a keep or drop modifier.
+ * @property {boolean} rerolled Whether the die was rerolled, replacing its original value.
+ * @property {boolean} exploded Whether the die exploded, adding another die to the pool.
+ * @property {boolean} doubled Whether the die was counted twice; the second count is an added copy of the die.
+ * @property {boolean} added Whether the die was added to the pool by an explosion or by counting another die twice.
+ * @property {boolean} success Whether the die counts as a success.
+ * @property {boolean} failure Whether the die counts as a failure, cancelling a success.
+ * @property {boolean} critical Whether the die rolled a critical success.
+ * @property {boolean} fumble Whether the die rolled a fumble.
+ * @property {Symbols} [symbols] For a narrative die, the symbols on the face showing; its `face` is then the number
+ * of that face, from 1.
  */
-export class InvalidChunkError extends Error { }
 
 /**
- * Indicates one or more chunks in the expression use a dice with too many sides
+ * Creates a newly rolled die, with no modifier flags set unless given.
+ * @ignore
  */
-export class DieTooBigError extends Error { }
+const createDie = (face, flags) => ({
+    face,
+    original: face,
+    kept: true,
+    dropped: false,
+    rerolled: false,
+    exploded: false,
+    doubled: false,
+    added: false,
+    success: false,
+    failure: false,
+    critical: false,
+    fumble: false,
+    ...flags,
+});
 
 /**
- * Indicates the chunks in the expression, combined, use too many dice.
+ * Helper for filtering the dice that count towards a result.
+ * @ignore
  */
-export class TooManyDiceError extends Error { }
+const isKept = die => die.kept;
 
 /**
- * Indicates that a dice expression was terminated early because it tried to use too many dice. This error captures
- * cases where TooManyDiceError wasn't triggered at parse time, but modifiers resulted in exceeding the limit later on.
+ * The values of the dice that count towards a result.
+ * @ignore
  */
-export class RollLimitExceededError extends Error { }
+const keptFaces = dice => dice.filter(isKept).map(die => die.face);
 
 /**
- * Indicates that a dice expression contained too many chunks, not including whitespace.
+ * The value a kept die adds to a pool which counts successes: 1 for a success, -1 for a failure, or 0 for neither or
+ * both.
+ * @ignore
  */
-export class TooManyChunksError extends Error { }
+const dieScore = die => (die.success ? 1 : 0) - (die.failure ? 1 : 0);
 
 /**
- * The larges number of chunks allowed in one expression.
+ * Adapts a modifier which works on dice to one which works on plain rolls.
+ * @ignore
  */
-const MAX_CHUNKS = 10;
+const forRolls = modifier => (...args) => rolls => keptFaces(modifier(...args)(rolls.map(r => createDie(r))));
 
 /**
- * The largest number of dice that may be performed by one chunk, including modifiers, and also the 
- * largest allowable static dice pool.
+ * Tests which compare a roll to a target number, by comparison operator.
  */
-const MAX_DICE = 100;
+export const comparisons = {
+    '=': (roll, target) => roll === target,
+    '<': (roll, target) => roll < target,
+    '<=': (roll, target) => roll <= target,
+    '>': (roll, target) => roll > target,
+    '>=': (roll, target) => roll >= target,
+};
 
 /**
- * The largest number of faces allowed on any die in a roll expression.
+ * Creates a test for kept dice which compare to the argument.
+ * @ignore
  */
-const MAX_FACES = 1000;
+const matchesDie = (arg, compare = '=') => d => d.kept && comparisons[compare](d.face, arg);
 
 /**
- * The largest expression that may be parsed.
+ * Rerolls kept dice matching the argument, once only.
+ * @ignore
  */
-const MAX_LENGTH = 60;
+const rerollDice = (arg, reroll, limits, compare) => dice => {
+    const matches = matchesDie(arg, compare);
+    return dice.map(d => matches(d) ? { ...d, face: reroll()[0], rerolled: true } : d);
+};
 
 /**
- * Matches modifiers used in dice expressions.
- *  - rN discard and reroll Ns
- *  - tN count Ns twice
- *  - dN, kN, dlN, dhN, klN, khN drop lowest or keep highest N
- *  - !N explode on N (keep and reroll)
- * 
- * @type {string}
+ * Rerolls kept dice matching the argument until they don't match. Every reroll counts towards the roll limit.
+ * @ignore
  */
-const DICE_MODIFIERS = '[dk][lh]\\d*|[rt!][+-]?\\d*';
+const rerollUntilDice = (arg, reroll, limits = DEFAULT_LIMITS, compare) => dice => {
+    const matches = matchesDie(arg, compare);
+    let rolled = dice.filter(isKept).length;
+    return dice.map(d => {
+        let newDie = d;
+        while (matches(newDie)) {
+            if (++rolled > limits.maxExplosions) {
+                throw new RollLimitExceededError(`Rerolls exceeded roll limit: ${limits.maxExplosions}`, {
+                    limit: limits.maxExplosions,
+                    actual: rolled,
+                });
+            }
+            newDie = { ...newDie, face: reroll()[0], rerolled: true };
+        }
+        return newDie;
+    });
+};
 
 /**
- * Matches a dice expression like 2d4, d% or dF, maybe followed by some complex modifiers.
- * 
- * @type {string}
+ * Adds a copy of each kept die matching the argument.
+ * @ignore
  */
-const DICE_CHUNK = `(?<num>\\d*)d(?<die>f|%|[\\d]+)(?<modifier>${DICE_MODIFIERS})?`;
+const twiceDice = (arg, reroll, limits, compare) => dice => {
+    const matches = matchesDie(arg, compare);
+    return dice.flatMap(d => matches(d) ? [{ ...d, doubled: true }, { ...d, doubled: true, added: true }] : d);
+};
 
 /**
- * Matches a valid chunk, either die or constant.
- * 
- * @type {RegExp}
+ * Sorts the kept dice and drops those at the positions rejected by `keep`. Dice which were already dropped follow the
+ * sorted dice.
+ * @ignore
  */
-const VALID_CHUNK = new RegExp(`^([+-]?)(${DICE_CHUNK}|\\d+)$`);
+const selectDice = (compare, keep) => arg => dice => [
+    ...dice.filter(isKept)
+        .sort((a, b) => compare(a.face, b.face))
+        .map((d, i) => keep(i, arg) ? d : { ...d, kept: false, dropped: true }),
+    ...dice.filter(d => !d.kept),
+];
+
+const keepHighestDice = selectDice(desc, (i, arg) => i < arg);
+const keepLowestDice = selectDice(asc, (i, arg) => i < arg);
+const dropHighestDice = selectDice(desc, (i, arg) => i >= arg);
+const dropLowestDice = selectDice(asc, (i, arg) => i >= arg);
 
 /**
- * Test if a chunk is invalid.
- * 
- * @param {string} chunk The chunk to check.
- * @returns {boolean} Whether the chunk is supported.
+ * Creates a modifier which explodes kept dice matching the argument, and keeps exploding while the further rolls also
+ * match it. Each further roll either adds a die to the pool, with any penalty subtracted from it, or is compounded
+ * into the die which exploded.
+ * @ignore
  */
-const isInvalidChunk = chunk => !VALID_CHUNK.test(chunk);
+const explodeWith = ({ compound = false, penalty = 0 }) => (arg, reroll, limits = DEFAULT_LIMITS, compare) => dice => {
+    const matches = matchesDie(arg, compare);
+    // The dice whose last roll matched, and so explode in the next round.
+    let exploding = new Set(dice.filter(matches));
+    let rolled = dice.filter(isKept).length;
+    let newDice = dice;
+    let sentinel = limits.maxExplosions - rolled;
+    while (sentinel-- > 0 && exploding.size > 0) {
+        const next = new Set();
+        newDice = newDice.flatMap(d => {
+            if (!exploding.has(d)) {
+                return d;
+            }
+            const roll = reroll()[0];
+            rolled++;
+            if (compound) {
+                const compounded = { ...d, face: d.face + roll, exploded: true };
+                if (matches({ ...compounded, face: roll })) {
+                    next.add(compounded);
+                }
+                return compounded;
+            }
+            const added = createDie(roll - penalty, { original: roll, added: true });
+            if (matches({ ...added, face: roll })) {
+                next.add(added);
+            }
+            return [{ ...d, exploded: true }, added];
+        });
+        exploding = next;
+    }
+    if (exploding.size > 0) {
+        // Count the dice which were still to be rolled when the limit was reached.
+        const actual = rolled + exploding.size;
+        throw new RollLimitExceededError(`Explosion exceeded roll limit: ${actual} > ${limits.maxExplosions}`, {
+            limit: limits.maxExplosions,
+            actual,
+        });
+    }
+    return newDice;
+};
+
+const explodeDice = explodeWith({});
+const compoundDice = explodeWith({ compound: true });
+const penetrateDice = explodeWith({ penalty: 1 });
 
 /**
- * Splits an expression into chunks. The split is at a point in the expression where there is a +/- that is not
- * preceeded by a modifier which accepts a signed argument.
- * 
- * @param {string} str Input string e.g. 3d6+1-2d2+4dFr-1
- * @returns {Array<string>} Tokens from s, e.g. ["3d6", "+1", ...]
+ * Marks kept dice which compare to the argument with the given flag.
+ * @ignore
  */
-const chunk = str => str.split(/(?<![rt!])(?=[+-])/);
+const markDice = flag => (arg, reroll, limits, compare) => dice => {
+    const matches = matchesDie(arg, compare);
+    return dice.map(d => matches(d) ? { ...d, [flag]: true } : d);
+};
 
 /**
- * @name ModifierFunction
- * @function 
- * @param {Array<number>} rolls The initial rolls to modify.
- * @returns {Array<number>} Replacement rolls after modification.
+ * Creates the modifier function of a custom modifier, which calls its apply function. Further rolls it makes count
+ * towards the roll limit like explosions, starting from the dice kept when it is applied.
+ * @ignore
  */
+const customModifier = (token, apply) => (arg, reroll, limits = DEFAULT_LIMITS, compare) => dice => {
+    let rolled = dice.filter(isKept).length;
+    const roll = () => {
+        if (rolled >= limits.maxExplosions) {
+            const actual = rolled + 1;
+            throw new RollLimitExceededError(`"${token}" exceeded roll limit: ${actual} > ${limits.maxExplosions}`, {
+                limit: limits.maxExplosions,
+                actual,
+            });
+        }
+        rolled++;
+        return reroll()[0];
+    };
+    const modified = apply(dice, { arg, compare, matches: matchesDie(arg, compare), roll, createDie });
+    if (!Array.isArray(modified)) {
+        throw new TypeError(`Modifier "${token}" must return a list of dice`);
+    }
+    return modified;
+};
 
 /**
  * The 'discard and reroll' modifier: Discard dice matching arg and re-roll them once only.
  * 
  * @param {number} arg The value to discard.
  * @param {function} reroll A function to roll a further die.
+ * @param {Limits} [limits] Not used.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
+ * @returns {ModifierFunction} A discard modifier for the given value and reroll func.
+ */
+export const reroll = forRolls(rerollDice);
+
+/**
+ * The 'reroll until valid' modifier: Discard dice matching arg and re-roll them until they don't match.
+ * 
+ * @param {number} arg The value to discard.
+ * @param {function} reroll A function to roll a further die.
+ * @param {Limits} [limits] The limits to apply; only `maxExplosions` is used, limiting the number of rerolls.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
  * @returns {ModifierFunction} A discard modifier for the given value and reroll func.
  */
-export const reroll = (arg, reroll) => rolls => rolls.map(r => r === arg ? reroll()[0] : r);
+export const rerollUntil = forRolls(rerollUntilDice);
 
 /**
  * The 'count twice' modifier: Instances of the argument are doubled.
  * 
  * @param {number} arg The value to count twice.
  * @param {function} reroll Not used.
+ * @param {Limits} [limits] Not used.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
  * @returns {ModifierFunction} A twice modifier for the given value.
  */
-export const twice = (arg, reroll) => rolls => rolls.flatMap(r => r === arg ? [r, r] : r);
+export const twice = forRolls(twiceDice);
 
 /**
  * The 'keep highest N' modifier; the other rolls are discarded.
@@ -168,7 +372,7 @@ export const twice = (arg, reroll) => rolls => rolls.flatMap(r => r === arg ? [r
  * @param {function} reroll Not used.
  * @returns {ModifierFunction} A keep modifier for the given number of values.
  */
-export const keepHighest = (arg, reroll) => rolls => takeWhile(rolls.sort(desc), (v, i) => i < arg);
+export const keepHighest = forRolls(keepHighestDice);
 
 /**
  * The 'keep lowest N' modifier; the lower N rolls are kept, others are discarded.
@@ -177,7 +381,7 @@ export const keepHighest = (arg, reroll) => rolls => takeWhile(rolls.sort(desc),
  * @param {function} reroll Not used.
  * @returns {ModifierFunction} A drop modifier for the given number of values.
  */
-export const keepLowest = (arg, reroll) => rolls => takeWhile(rolls.sort(asc), (v, i) => i < arg);
+export const keepLowest = forRolls(keepLowestDice);
 
 /**
  * The 'drop lowest N' modifier; the lower N rolls are discarded.
@@ -186,7 +390,7 @@ export const keepLowest = (arg, reroll) => rolls => takeWhile(rolls.sort(asc), (
  * @param {function} reroll Not used.
  * @returns {ModifierFunction} A drop modifier for the given number of values.
  */
-export const dropLowest = (arg, reroll) => rolls => dropWhile(rolls.sort(asc), (v, i) => i < arg);
+export const dropLowest = forRolls(dropLowestDice);
 
 /**
  * The 'drop highest N' modifier; the upper N rolls are discarded.
@@ -195,7 +399,7 @@ export const dropLowest = (arg, reroll) => rolls => dropWhile(rolls.sort(asc), (
  * @param {function} reroll Not used.
  * @returns {ModifierFunction} A drop modifier for the given number of values.
  */
-export const dropHighest = (arg, reroll) => rolls => dropWhile(rolls.sort(desc), (v, i) => i < arg);
+export const dropHighest = forRolls(dropHighestDice);
 
 /**
  * The 'exploding dice' modifier: rolls matching the argument are kept and re-rolled, and this process may chain until
@@ -203,161 +407,1675 @@ export const dropHighest = (arg, reroll) => rolls => dropWhile(rolls.sort(desc),
  *
  * @param {number} arg The exploding value.
  * @param {function} reroll A function to roll a further die.
+ * @param {Limits} [limits] The limits to apply; only `maxExplosions` is used.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
  * @returns {ModifierFunction} An explosion modifier for the given target value.
  */
-export const explode = (arg, reroll) => rolls => {
-    let newRolls = rolls;
-    let sentinel = MAX_DICE - rolls.length;
-    while (sentinel-- > 0 && newRolls.some(i => i === arg)) {
-        newRolls = newRolls.flatMap(r => r === arg ? ['X', reroll()[0]] : r);
-    }
-    if (sentinel < 0) {
-        throw new RollLimitExceededError(`Explosion exceeded roll limit: ${newRolls.length} > ${MAX_DICE}`);
-    }
-    return newRolls.flatMap(r => r === 'X' ? arg : r);
-};
+export const explode = forRolls(explodeDice);
 
 /**
- * Mapping of chunk tokens for modifiers to the implementing function.
+ * The 'compounding explosion' modifier: like exploding dice, but the further rolls are added to the die which
+ * exploded rather than added to the pool as new dice.
+ *
+ * @param {number} arg The exploding value.
+ * @param {function} reroll A function to roll a further die.
+ * @param {Limits} [limits] The limits to apply; only `maxExplosions` is used, counting every further roll.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
+ * @returns {ModifierFunction} A compounding explosion modifier for the given target value.
+ */
+export const compound = forRolls(compoundDice);
+
+/**
+ * The 'penetrating explosion' modifier: like exploding dice, but 1 is subtracted from each die added by an explosion.
+ * Whether an added die explodes again depends on its roll before the subtraction.
+ *
+ * @param {number} arg The exploding value.
+ * @param {function} reroll A function to roll a further die.
+ * @param {Limits} [limits] The limits to apply; only `maxExplosions` is used.
+ * @param {string} [compare] How rolls are compared to the argument, one of the keys of {@link comparisons}; by default
+ * rolls equal to it match.
+ * @returns {ModifierFunction} A penetrating explosion modifier for the given target value.
+ */
+export const penetrate = forRolls(penetrateDice);
+
+/**
+ * Mapping of chunk tokens for modifiers to the implementing function. These work on dice rather than plain rolls, so
+ * that discarded, rerolled and added dice can be reported.
  */
 const modifierFunctions = {
-    'R': reroll,
-    'T': twice,
-    '!': explode,
-    'KH': keepHighest,
-    'KL': keepLowest,
-    'DH': dropHighest,
-    'DL': dropLowest,
+    'R': rerollDice,
+    'RR': rerollUntilDice,
+    'T': twiceDice,
+    '!': explodeDice,
+    '!!': compoundDice,
+    '!P': penetrateDice,
+    'KH': keepHighestDice,
+    'KL': keepLowestDice,
+    'DH': dropHighestDice,
+    'DL': dropLowestDice,
+    'S': markDice('success'),
+    'F': markDice('failure'),
+    'CS': markDice('critical'),
+    'CF': markDice('fumble'),
 };
 
+/**
+ * @typedef {object} CustomModifier
+ * @property {string} token The token of the modifier, in lower case.
+ * @property {string} argGrammar The grammar of its argument, one of the keys of `MODIFIER_ARGS`.
+ * @property {number|function|null} defaultArg Its default argument; see {@link registerModifier}.
+ * @property {function} create Creates its modifier function, like those of the built-in modifiers.
+ */
+
+/**
+ * The custom modifiers of a parser with none registered.
+ * @ignore
+ */
+const NO_MODIFIERS = new Map();
+
+/**
+ * Tests whether a dice count or modifier argument is a reference node, whose value isn't known until rolling.
+ * @ignore
+ */
+const isReference = value => isObject(value) && value.type === 'reference';
+
 /**
  * Produces a suitable default for the argument for each modifier given the modifier token and the lowest and highest
  * possible roll for the die being modified.
  * 
  * @param {string} modifier The chunk token for the modifier.
+ * @param {number|Node} num The number of dice being modified, or a reference giving it.
  * @param {number} lowest The lowest value that may be rolled on the die being modified.
  * @param {number} highest The highest value that may be rolled on the die being modified.
- * @returns {number} The default argument for the modifier.
+ * @param {Map<string, CustomModifier>} [custom] The custom modifiers which may be used, by upper cased token.
+ * @returns {number|null} The default argument for the modifier, or null when it depends on a number of dice which
+ * isn't known until rolling, or when a custom modifier has no default.
  */
-const defaultModifierArg = (modifier, num, lowest, highest) => {
+const defaultModifierArg = (modifier, num, lowest, highest, custom = NO_MODIFIERS) => {
+    if (custom.has(modifier)) {
+        const { defaultArg } = custom.get(modifier);
+        if (typeof defaultArg !== 'function') {
+            return defaultArg;
+        }
+        return isReference(num) ? null : defaultArg({ num, lowest, highest });
+    }
     switch (modifier) {
         // Re-roll, twice and explode.
         case 'R': return lowest;
+        case 'RR': return lowest;
         case 'T': return highest;
         case '!': return highest;
+        case '!!': return highest;
+        case '!P': return highest;
+        // Failures default to the lowest face, like a botch on a 1.
+        case 'F': return lowest;
+        // Critical successes and fumbles default to the highest and lowest face, like a natural 20 or 1 on a d20.
+        case 'CS': return highest;
+        case 'CF': return lowest;
         // Keeps/drops; the arg is the number TO keep or drop.
         default:
-            return Math.min(1, num - 1); // Keep or drop all but one.
+            return isReference(num) ? null : Math.min(1, num - 1); // Keep or drop all but one.
     }
 };
 
 /**
- * Creates a function which modifies a list of rolls, producing a replacement list.
+ * @typedef {object} ModifierSpec
+ * @property {string} func The modifier token, upper cased, e.g. "KH" or "!"; "S" for a success target and "F" for a
+ * failure target.
+ * @property {number} arg The argument of the modifier, after any default has been applied. In a syntax tree it may
+ * instead be a reference node, or null for a default which depends on a dice count given by a reference.
+ * @property {string} compare How rolls are compared to the argument, one of the keys of {@link comparisons}.
+ * @property {boolean} [custom] Whether it is a custom modifier registered with the parser.
+ */
+
+/**
+ * Reads a single modifier token, applying the default argument for the modifier if none was given.
  * 
- * @param {string} modifier The chunk token describing the modifier (e.g. "k2" or "!").
- * @param {function} reroll A function that the modifier can use to roll an additional die.
+ * @param {string} modifier The chunk token describing the modifier (e.g. "k2", "!" or ">=8").
  * @param {number} num The number of dice in the roll.
+ * @param {number} lowest The lowest value for any single die roll.
  * @param {number} highest The highest value for any single die roll.
- * @param {number} lowest The loewst value for any single die roll.
- * @return {function} Prepared modifier function. Accepts an array of rolls and returns the result of modifying it
- * with the named modifier.
+ * @param {Map<string, CustomModifier>} [custom] The custom modifiers which may be used, by upper cased token.
+ * @return {ModifierSpec} The modifier and its argument.
  */
-const createModifier = (modifier, reroll, num, highest, lowest) => {
-    if (isNil(modifier)) {
-        return rolls => rolls;
+const parseModifier = (modifier, num, lowest, highest, custom = NO_MODIFIERS) => {
+    let { func, compare = '=', rest } = modifier.match(/(?<func>[a-z!]*)(?<compare>[<>]=?|=)?(?<rest>.*)/).groups
+    // A target without a letter counts successes.
+    func = func.toUpperCase() || 'S';
+    // Arg is optional, and each modifier has its own suitable default. A reference is left for the caller to fill in.
+    const arg = rest.length == 0
+        ? defaultModifierArg(func, num, lowest, highest, custom)
+        : rest.startsWith('@') ? null : toSafeInteger(rest);
+    return custom.has(func) ? { func, arg, compare, custom: true } : { func, arg, compare };
+};
+
+/**
+ * Creates a function which modifies a pool of dice, producing a replacement pool. Modifiers are applied left to
+ * right, each receiving the dice produced by the one before it. Since explosions are limited by the size of the
+ * pool they receive, dice added by earlier modifiers in the chain count towards the roll limit of later ones.
+ * 
+ * @param {Array<ModifierSpec>} modifiers The modifiers to apply, in order.
+ * @param {function} reroll A function that the modifier can use to roll an additional die.
+ * @param {Limits} limits The limits which apply to the roll.
+ * @param {Map<string, CustomModifier>} [custom] The custom modifiers which may be used, by upper cased token.
+ * @return {function} Prepared modifier function. Accepts an array of dice and returns the result of modifying it
+ * with each of the modifiers in turn.
+ */
+const createModifier = (modifiers, reroll, limits, custom = NO_MODIFIERS) =>
+    flow(modifiers.map(({ func, arg, compare }) =>
+        (custom.has(func) ? custom.get(func).create : modifierFunctions[func])(arg, reroll, limits, compare)));
+
+/**
+ * Tests whether a modifier is a success or failure target, which makes its pool count successes.
+ *
+ * @param {ModifierSpec} modifier The modifier.
+ * @returns {boolean} Whether the modifier is a target.
+ */
+export const isTarget = ({ func }) => func === 'S' || func === 'F';
+
+/**
+ * Tests whether a modifier is a critical success or fumble annotation, which marks dice without changing the roll.
+ *
+ * @param {ModifierSpec} modifier The modifier.
+ * @returns {boolean} Whether the modifier is an annotation.
+ */
+export const isAnnotation = ({ func }) => func === 'CS' || func === 'CF';
+
+/**
+ * Creates a function giving the value that a single kept roll adds to a pool, given the pool's modifiers. Pools with
+ * targets count successes, so each roll adds 1 for a success or -1 for a failure; other pools add each roll itself.
+ *
+ * @param {Array<ModifierSpec>} modifiers The modifiers applied to the pool.
+ * @returns {function} A function from a roll to the value it adds to the pool.
+ */
+export const createScore = modifiers => {
+    if (!modifiers.some(isTarget)) {
+        return identity;
     }
-    let { func, rest } = modifier.match(/(?<func>[a-z!]+)(?<rest>.*)/).groups
-    func = func.toUpperCase();
-    // Arg is optional, and each modifier has its own suitable default.
-    const arg = rest.length == 0 ? defaultModifierArg(func, num, highest, lowest) : toSafeInteger(rest);
-    return modifierFunctions[func](arg, reroll);
+    const mark = createModifier(modifiers.filter(isTarget), null, DEFAULT_LIMITS);
+    return face => dieScore(mark([createDie(face)])[0]);
 };
 
 /**
  * Creates a function producing functions that roll a number of dice of a given size. Calling this func with
  * die = 6 returns a function, calling that with the parameter 4 returns a function that rolls 4d6. For dice that
  * roll outside the range 1..N, the offset can be used to shift the result: die = 3, offset = -2 produces -1, 0, 1 (dF).
+ * A custom die instead rolls one of its faces.
  * 
  * @param {number} die Number of faces on the die.
  * @param {number} offset An offset to apply to every roll of the dice. Used for e.g. dF.
+ * @param {RandomSource} rng The source of random rolls.
+ * @param {Array<number>} [faces] The value of each face of a custom die.
  * @return {function} A function which may be called to return a roll function for some number of dice.
  */
-const diceFunc = (die, offset) => num => () => new Array(num).fill(0).map(() => random.die(die) + offset);
+const diceFunc = (die, offset, rng, faces) => {
+    const rollDie = faces ? () => faces[rng.die(die) - 1] : () => rng.die(die) + offset;
+    return num => () => new Array(num).fill(0).map(rollDie);
+};
 
 /**
- * @name ChunkFunction
- * @function
- * @return {function} A function which evaluates the complete chunk when it is called.
+ * @typedef {object} DiceSpec
+ * @property {number} num The number of dice in the pool.
+ * @property {number} die The number of faces on each die.
+ * @property {number} offset An offset applied to every roll of the die, e.g. -2 for dF.
+ * @property {number} lowest The lowest value that may be rolled on one die.
+ * @property {number} highest The highest value that may be rolled on one die.
+ * @property {Array<number>} [faces] For a custom die like d{0,0,1} or one registered by name, the value of each face.
+ * It is then rolled by picking a face, rather than from `die` and `offset`.
+ * @property {Array<Symbols>} [symbols] For a narrative die, the symbols on each face. It rolls the number of a face,
+ * from 1 to `die`, and its pool tallies the symbols on the faces showing.
+ * @property {string} [name] For a die registered by name, the name it was registered under.
+ * @property {Array<ModifierSpec>} modifiers The modifiers applied to the pool, in order.
  */
 
 /**
- * Creates a function that rolls a number of dice and applies any modifiers according to the given expression chunk.
- * The result of each dice roll is summed and then optionally negated if the chunk as a whole is negative.
+ * A modifier or target within a dice node of a syntax tree. It is a {@link ModifierSpec} with the {@link Token}
+ * it was read from, so has the type "modifier", its `text` and its span.
  *
- * @function
- * @param {string} chunk An expression chunk representing a dice roll, like '-4d6'.
- * @returns {ChunkFunction} A function which computes the chunk value.
+ * @typedef {ModifierSpec & Token} ModifierNode
+ */
+
+/**
+ * A dice chunk in a syntax tree. It is a {@link DiceSpec} whose modifiers are {@link ModifierNode}s, with the type
+ * "dice", the `text` of the chunk and its span. When rolled, the dice are read from the spec, not the text.
+ *
+ * @typedef {DiceSpec & Node} DiceNode
+ */
+
+/**
+ * A node of a syntax tree produced by {@link parseAst}: a {@link Node} whose dice nodes are {@link DiceNode}s, and
+ * whose group nodes have {@link ModifierNode}s.
+ *
+ * @typedef {Node|DiceNode} AstNode
  */
-const createRoll = memoize(chunk => {
-    const negative = chunk.startsWith('-');
-    const rollExpr = chunk.substr(negative || chunk.startsWith('+') ? 1 : 0);
-    let { num, die, modifier } = rollExpr.match(DICE_CHUNK).groups;
+
+/**
+ * @typedef {object} Ast
+ * @property {string} type Always "expression".
+ * @property {string} source The expression the tree was parsed from, used in error messages.
+ * @property {AstNode} body The root node of the expression.
+ * @property {number} start Always 0.
+ * @property {number} end The length of the expression.
+ */
+
+/**
+ * Reads the dice pool rolled by a dice chunk, without its modifiers.
+ * @ignore
+ */
+const readPool = chunk => {
+    let { num, die } = matchDice(chunk);
     num = isNil(num) || num.length === 0 ? 1 : toSafeInteger(num);
-    if (num > MAX_DICE) {
-        throw new TooManyDiceError(`Dice pool is too large: ${num} > ${MAX_DICE}`);
+    // A custom die rolls one of its faces, which need not be in order or distinct.
+    const faces = customFaces(die);
+    if (faces && isNarrative(faces)) {
+        return { num, die: faces.length, offset: 0, lowest: 1, highest: faces.length, symbols: faces, name: die };
+    }
+    if (faces) {
+        const lowest = Math.min(...faces);
+        const highest = Math.max(...faces);
+        const named = die.startsWith('{') ? {} : { name: die };
+        return { num, die: faces.length, offset: 0, lowest, highest, faces: [...faces], ...named };
     }
     die = die.toUpperCase();
     // Special named die; every dF is a d3-2, and d% is an alias for d100.
     const offset = die === 'F' ? -2 : 0;
     die = die === '%' ? 100 : die === 'F' ? 3 : toSafeInteger(die);
-    if (die > MAX_FACES) {
-        throw new DieTooBigError(`Die has too many faces: ${die} > ${MAX_FACES}`);
-    }
-    const rollDice = diceFunc(die, offset);
-    const applyModifier = createModifier(modifier, rollDice(1), num, 1 + offset, die + offset);
-    const maybeNegate = roll => negative ? roll.map(r => -r) : roll;
-    return flow(rollDice(num), applyModifier, maybeNegate);
-});
+    return { num, die, offset, lowest: 1 + offset, highest: die + offset };
+};
 
 /**
- * Creates a function that returns a constant.
+ * Lists the value of each face of a die, in order.
  *
- * @param {string} chunk An expression chunk representing a constant, like "+1".
- * @returns {ChunkFunction} A function which computes the chunk value.
+ * @param {DiceSpec} dice The dice pool.
+ * @returns {Array<number>} The faces of one die; those of a custom die may repeat.
  */
-const createConst = chunk => () => toSafeInteger(chunk);
+export const faceValues = ({ lowest, highest, faces }) => faces || range(lowest, highest + 1);
 
 /**
- * Produces a chunk function for a chunk, which may be a constant or a dice expression.
+ * Checks a dice pool against the dice limits, and that it can finish rolling. Counts and arguments given by references
+ * are skipped, to be checked once they are known.
+ * @ignore
+ */
+const checkDice = ({ num, die, lowest, highest, faces, symbols, modifiers }, chunk, { maxDice, maxFaces }) => {
+    if (!isReference(num) && num > maxDice) {
+        throw new TooManyDiceError(`Dice pool is too large: ${num} > ${maxDice}`, { limit: maxDice, actual: num });
+    }
+    if (die > maxFaces) {
+        throw new DieTooBigError(`Die has too many faces: ${die} > ${maxFaces}`, { limit: maxFaces, actual: die });
+    }
+    if (symbols && modifiers.length > 0) {
+        throw new InvalidChunkError(`"${chunk}" has modifiers, but narrative dice can't be modified`);
+    }
+    // Rerolling until valid never finishes if every face must be rerolled.
+    const endless = modifiers.find(({ func, arg, compare }) => func === 'RR' && !isReference(arg)
+        && faceValues({ lowest, highest, faces }).every(face => comparisons[compare](face, arg)));
+    if (endless) {
+        throw new ImpossibleConditionError(`"${chunk}" rerolls every face of the die, so it can never finish`);
+    }
+};
+
+/**
+ * Reads a dice chunk into a description of the dice pool it rolls, checking it against the dice limits.
  * 
- * @param {string} chunk An expression chunk.
- * @returns {ChunkFunction} A function which computes the chunk value.
+ * @param {string} chunk An expression chunk representing a dice roll, like '4d6'.
+ * @param {Limits} [limits] The limits to check against.
+ * @returns {DiceSpec} A description of the dice pool.
  */
-const createPart = chunk => (chunk.indexOf('d') === -1 ? createConst : createRoll)(chunk);
+export const parseDice = (chunk, limits = DEFAULT_LIMITS) => {
+    const pool = readPool(chunk);
+    const modifiers = splitModifiers(matchDice(chunk).modifiers)
+        .map(({ text }) => parseModifier(text, pool.num, pool.lowest, pool.highest));
+    const spec = { ...pool, modifiers };
+    checkDice(spec, chunk, limits);
+    return spec;
+};
 
 /**
- * Produces a function for a given complete dice roll expression which, when called with no params, will evaluate the
- * result of that expression.
+ * Lists the references giving the count or modifier arguments of a dice node, whose values aren't known until rolling.
+ * Also lists those in the modifiers of a group node.
+ *
+ * @param {AstNode} dice The dice or group node.
+ * @returns {Array<Node>} The reference nodes, in order.
+ */
+export const diceReferences = ({ num, modifiers }) => [num, ...modifiers.map(({ arg }) => arg)].filter(isReference);
+
+/**
+ * Looks up the value of a reference in the context an expression is rolled with. Names are not case sensitive, but
+ * a key with exactly the name of the reference is preferred.
+ *
+ * @param {Node} reference The reference node.
+ * @param {object} context The values of references, by name.
+ * @param {object} [options] What values may be used.
+ * @param {boolean} [options.whole] Whether the value must be a whole number.
+ * @param {number} [options.min] The smallest value which may be used.
+ * @returns {number} The value.
+ * @throws {MissingReferenceError} When the context has no value for the reference.
+ * @throws {InvalidReferenceError} When the value isn't a number, or isn't a whole number or is too small as required.
+ */
+const referenceValue = ({ name }, context, { whole = false, min = -Infinity } = {}) => {
+    const key = Object.prototype.hasOwnProperty.call(context, name)
+        ? name
+        : Object.keys(context).find(k => k.toLowerCase() === name);
+    if (key === undefined) {
+        throw new MissingReferenceError(`"@${name}" has no value`);
+    }
+    const value = context[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new InvalidReferenceError(`"@${name}" is not a number: ${value}`);
+    }
+    if (whole && !Number.isSafeInteger(value)) {
+        throw new InvalidReferenceError(`"@${name}" must be a whole number: ${value}`);
+    }
+    if (value < min) {
+        throw new InvalidReferenceError(`"@${name}" must be at least ${min}: ${value}`);
+    }
+    return value;
+};
+
+/**
+ * Fills in the references of some modifiers from the context they are rolled with, and any default arguments which
+ * depend on the number of dice or members being modified. Errors are located at the reference.
+ * @ignore
+ */
+const resolveModifiers = (expr, modifiers, num, lowest, highest, context, custom) => modifiers.map(modifier => ({
+    ...modifier,
+    arg: modifier.arg === null
+        ? defaultModifierArg(modifier.func, num, lowest, highest, custom)
+        : resolveArg(expr, modifier.arg, context),
+}));
+
+/**
+ * Fills in a dice count or modifier argument from the context it is rolled with, if it is a reference.
+ * @ignore
+ */
+const resolveArg = (expr, value, context, min) => isReference(value)
+    ? locating(expr, value, referenceValue)(value, context, { whole: true, min })
+    : value;
+
+/**
+ * Fills in the references of a dice node from the context it is rolled with.
+ * @ignore
+ */
+const resolveDice = (expr, dice, context, custom) => {
+    const num = resolveArg(expr, dice.num, context, 0);
+    const modifiers = resolveModifiers(expr, dice.modifiers, num, dice.lowest, dice.highest, context, custom);
+    return { ...dice, num, modifiers };
+};
+
+/**
+ * Counts the dice rolled by part of an expression before any explosions, leaving out dice counts given by references.
+ * @ignore
+ */
+const staticDice = node => {
+    let count = 0;
+    mapNodes(node, part => {
+        if (part.type === 'dice' && !isReference(part.num)) {
+            count += part.num;
+        }
+        return part;
+    });
+    return count;
+};
+
+/**
+ * Tests whether part of an expression tallies the symbols of narrative dice rather than adding up numbers. Narrative
+ * dice may only be added to and subtracted from each other, which is checked along the way.
+ * @ignore
+ */
+const isNarrativeNode = (expr, node) => {
+    const mixed = part => locate(
+        new InvalidChunkError('Narrative dice can only be added to or subtracted from other narrative dice'),
+        expr,
+        part,
+    );
+    const numeric = part => {
+        if (isNarrativeNode(expr, part)) {
+            throw mixed(part);
+        }
+    };
+    switch (node.type) {
+        case 'dice':
+            return Boolean(node.symbols);
+        case 'negate':
+            return isNarrativeNode(expr, node.operand);
+        case 'repeat':
+            return isNarrativeNode(expr, node.body);
+        case 'compare':
+            numeric(node.left);
+            numeric(node.right);
+            return false;
+        case 'call':
+            node.args.forEach(numeric);
+            return false;
+        case 'group':
+            node.members.forEach(numeric);
+            return false;
+        case 'binary': {
+            if (node.op === '*' || node.op === '/') {
+                numeric(node.left);
+                numeric(node.right);
+                return false;
+            }
+            const narrative = isNarrativeNode(expr, node.left);
+            if (narrative !== isNarrativeNode(expr, node.right)) {
+                throw mixed(node);
+            }
+            return narrative;
+        }
+    }
+    return false;
+};
+
+/**
+ * Lists the labels of the chunks in part of an expression, in order. Chunks with different labels may only be added
+ * to and subtracted from each other, so that each term of a sum has at most one label; this is checked along the way.
+ * @ignore
+ */
+const nodeLabels = (expr, node) => {
+    const single = (part, operands) => {
+        const labels = uniq(operands.flatMap(operand => nodeLabels(expr, operand)));
+        if (labels.length > 1) {
+            const error = new InvalidChunkError('Chunks with different labels can only be added or subtracted');
+            throw locate(error, expr, part);
+        }
+        return labels;
+    };
+    switch (node.type) {
+        case 'constant':
+        case 'reference':
+        case 'dice':
+            return node.label === undefined ? [] : [node.label];
+        case 'negate':
+            return nodeLabels(expr, node.operand);
+        case 'repeat':
+            return nodeLabels(expr, node.body);
+        case 'call':
+            return single(node, node.args);
+        case 'group':
+            return single(node, node.members);
+        case 'binary':
+            return node.op === '*' || node.op === '/'
+                ? single(node, [node.left, node.right])
+                : uniq([...nodeLabels(expr, node.left), ...nodeLabels(expr, node.right)]);
+    }
+    return [];
+};
+
+/**
+ * Functions which round a number, by name.
+ */
+export const roundingFunctions = {
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+};
+
+/**
+ * Functions which may be called in expressions, by name; see {@link FUNCTIONS}. When the lower bound of clamp is
+ * above the upper bound, it gives the upper bound.
+ */
+export const expressionFunctions = {
+    ...roundingFunctions,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    clamp: (value, lower, upper) => Math.min(Math.max(value, lower), upper),
+};
+
+/**
+ * Tests whether the arguments of a function call are evaluated exactly, leaving divisions unrounded. Those of a
+ * rounding function are, since it rounds them itself; other functions take them as the call itself is evaluated.
+ *
+ * @param {string} name The name of the function.
+ * @param {boolean} exact Whether the call itself is evaluated exactly.
+ * @returns {boolean} Whether its arguments are evaluated exactly.
+ */
+export const exactArgs = (name, exact) => exact || name in roundingFunctions;
+
+/**
+ * Divides two numbers, refusing to divide by zero.
  * 
+ * @param {string} expr The expression being rolled, used in error messages.
+ * @param {number} dividend The number to divide.
+ * @param {number} divisor The number to divide by.
+ * @returns {number} The quotient.
+ */
+export const divide = (expr, dividend, divisor) => {
+    if (divisor === 0) {
+        throw new DivisionByZeroError(`"${expr}" divided by zero`);
+    }
+    return dividend / divisor;
+};
+
+/**
+ * Who may win a contest like "1d20+5 vs 1d20+3" when both sides roll the same total: no one, the left side or the
+ * right side.
+ *
+ * @type {Array<string>}
+ */
+export const TIE_RULES = ['none', 'left', 'right'];
+
+/**
+ * Decides which side of a comparison wins. In a contest ("vs") the higher total wins, and a tie goes to the side the
+ * tie rule names; otherwise the left side wins when the comparison holds, as when "3d6 <= 12" rolls 12 or less.
+ *
+ * @param {string} op The comparison operator, e.g. "vs" or "<=".
+ * @param {string} ties The tie rule, one of {@link TIE_RULES}.
+ * @param {number} margin The total of the left side less that of the right.
+ * @returns {string|null} "left" or "right", or null for a tie which no one wins.
+ */
+export const comparisonWinner = (op, ties, margin) => {
+    if (op !== 'vs') {
+        return comparisons[op](margin, 0) ? 'left' : 'right';
+    }
+    if (margin === 0) {
+        return ties === 'none' ? null : ties;
+    }
+    return margin > 0 ? 'left' : 'right';
+};
+
+/**
+ * @typedef {object} ChunkDetail
+ * @property {string} text The text of the chunk, e.g. "4d6kh3" or "3".
+ * @property {number} sign 1 when the chunk is added, or -1 when it is subtracted or negated.
+ * @property {Array<Die>} [dice] For a dice chunk, every die rolled, including those which don't count.
+ * @property {number} [value] For a constant chunk, its value.
+ * @property {number|Symbols} subtotal The value the chunk adds to the sum it is part of, including its sign; for
+ * narrative dice, the tally of their symbols.
+ * @property {boolean} [dropped] True when the chunk is part of a group member which was dropped, so doesn't count.
+ * @property {string} [label] The label given to the chunk, e.g. "fire" for "2d6[fire]".
+ */
+
+/**
+ * @typedef {object} Term
+ * @property {number|Array<number>|Array<Symbols>} value Either a constant, or the signed rolls which count from a dice
+ * pool; for a narrative pool, the symbols of each die.
+ * @property {ChunkDetail} [chunk] The chunk the term came from, when it is a single chunk.
+ * @property {Array<ChunkDetail>} [chunks] Every chunk the term was calculated from, when it isn't a single chunk.
+ */
+
+/**
+ * @typedef {object} RollDetail
+ * @property {number|Symbols} total The result of the roll; for narrative dice, the tally of their symbols.
+ * @property {Array<ChunkDetail>} chunks Every chunk of the expression, in order.
+ * @property {boolean} critical Whether any die counted in the result rolled a critical success.
+ * @property {boolean} fumble Whether any die counted in the result rolled a fumble.
+ * @property {Object<string, number|Symbols>} [labels] When the expression has labels, the subtotal of the chunks with
+ * each label, by label, in the order the labels first appear.
+ */
+
+/**
+ * Tests whether any die counted in some chunks has a flag set, leaving out dropped dice and the chunks of dropped
+ * group members.
+ * @ignore
+ */
+const anyDie = (chunks, flag) => chunks
+    .some(chunk => !chunk.dropped && (chunk.dice || []).some(d => d.kept && d[flag]));
+
+/**
+ * Tests whether any dice node in part of an expression has a critical success or fumble annotation.
+ * @ignore
+ */
+const isAnnotated = node => {
+    let annotated = false;
+    mapNodes(node, part => {
+        annotated = annotated || (part.type === 'dice' && part.modifiers.some(isAnnotation));
+        return part;
+    });
+    return annotated;
+};
+
+/**
+ * Adds the critical success and fumble annotations a dice node is rolled with. Unless some pool in the expression is
+ * annotated, every pool marks its highest face as a critical success and its lowest as a fumble. Otherwise only the
+ * annotated pools mark dice, with the default for any annotation they leave out. Narrative dice are never marked.
+ * @ignore
+ */
+const annotateDice = (node, annotated) => {
+    if (node.symbols || (annotated && !node.modifiers.some(isAnnotation))) {
+        return node;
+    }
+    const missing = ['CS', 'CF'].filter(func => !node.modifiers.some(modifier => modifier.func === func));
+    const defaults = missing.map(func => ({
+        func,
+        arg: defaultModifierArg(func, node.num, node.lowest, node.highest),
+        compare: '=',
+    }));
+    return { ...node, modifiers: [...node.modifiers, ...defaults] };
+};
+
+/**
+ * Negates a term of an unreduced result, flipping the sign of its chunk.
+ * @ignore
+ */
+const negateTerm = ({ value, chunk, chunks }) => {
+    const negated = Array.isArray(value) ? value.map(negateRoll) : -value;
+    return chunk
+        ? { value: negated, chunk: { ...chunk, sign: -chunk.sign, subtotal: negateRoll(chunk.subtotal) } }
+        : { value: negated, chunks };
+};
+
+/**
+ * Negates a roll or subtotal, turning the symbols of narrative dice into their opposites.
+ * @ignore
+ */
+const negateRoll = roll => isObject(roll) ? negateSymbols(roll) : -roll;
+
+/**
+ * Lists the chunks that a term came from.
+ * @ignore
+ */
+const chunksOf = term => term.chunk ? [term.chunk] : term.chunks;
+
+/**
+ * Sums the terms of an unreduced result.
+ * @ignore
+ */
+const total = terms => terms.flatMap(term => term.value).reduce(sum, 0);
+
+/**
+ * Tallies the symbols in the terms of an unreduced result made up of narrative dice.
+ * @ignore
+ */
+const tally = terms => tallySymbols(terms.flatMap(term => term.value));
+
+/**
+ * Gives the label of a term, from the chunks it was calculated from; at most one of their labels is ever given.
+ * @ignore
+ */
+const termLabel = term => chunksOf(term).map(({ label }) => label).find(label => label !== undefined);
+
+/**
+ * Reduces the terms with each label, leaving out those without a label.
+ * @ignore
+ */
+const labelTotals = (terms, reduce) =>
+    mapValues(groupBy(terms.filter(term => termLabel(term) !== undefined), termLabel), reduce);
+
+/**
+ * Gives the label of a chunk node, as a property of its chunk detail.
+ * @ignore
+ */
+const chunkLabel = ({ label }) => label === undefined ? {} : { label };
+
+/**
+ * Wraps a function so that errors it throws are located at part of an expression, unless they already have a location.
+ * @ignore
+ */
+const locating = (expr, part, f) => (...args) => {
+    try {
+        return f(...args);
+    } catch (error) {
+        throw locate(error, expr, part);
+    }
+};
+
+/**
+ * Creates a term with a value calculated from some lists of terms.
+ * @ignore
+ */
+const calculated = (value, ...terms) => ({ value, chunks: terms.flat().flatMap(chunksOf) });
+
+/**
+ * The precedence of each binary operator; operators with higher precedence bind more tightly.
+ * @ignore
+ */
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+
+/**
+ * Formats a dice count or modifier argument, which may be a reference.
+ * @ignore
+ */
+const formatArg = arg => isReference(arg) ? `@${arg.name}` : arg === null ? '' : String(arg);
+
+/**
+ * Formats a modifier as canonical text, with its argument always explicit unless it depends on a dice count given by
+ * a reference.
+ * @ignore
+ */
+const formatModifier = ({ func, arg, compare }) => {
+    if (func === 'S') {
+        return `${compare}${formatArg(arg)}`;
+    }
+    return `${func.toLowerCase()}${compare === '=' ? '' : compare}${formatArg(arg)}`;
+};
+
+/**
+ * Formats a dice node as canonical text, with its count and every modifier argument explicit; compact text leaves out
+ * a count of 1. A space ends each reference which is followed by more of the chunk.
+ * @ignore
+ */
+const formatDice = (dice, compact) => {
+    const { num, modifiers } = dice;
+    const count = compact && num === 1 ? '' : formatArg(num);
+    return `${count}${isReference(num) ? ' ' : ''}d${formatDie(dice)}${formatModifiers(modifiers)}`;
+};
+
+/**
+ * Formats the die of a dice node. Dice registered by name keep their name, and other custom dice are written as their
+ * list of faces.
+ * @ignore
+ */
+const formatDie = ({ die, offset, faces, name }) => {
+    if (name) {
+        return name;
+    }
+    if (faces) {
+        return `{${faces.join(',')}}`;
+    }
+    return offset === -2 && die === 3 ? 'f' : String(die);
+};
+
+/**
+ * Formats the label of a chunk, if it has one.
+ * @ignore
+ */
+const formatLabel = ({ label }) => label === undefined ? '' : `[${label}]`;
+
+/**
+ * Formats a chain of modifiers, with a space ending each reference which is followed by another modifier.
+ * @ignore
+ */
+const formatModifiers = modifiers => modifiers.map((modifier, i) =>
+    formatModifier(modifier) + (isReference(modifier.arg) && i < modifiers.length - 1 ? ' ' : '')).join('');
+
+/**
+ * Tests whether the text of part of an expression ends with dice, which an operator like ">=" directly after would
+ * join as a target or compare point, so that comparing it needs parentheses, as in "(3d6) <= 12".
+ * @ignore
+ */
+const endsWithDice = node => {
+    switch (node.type) {
+        case 'dice':
+            return node.label === undefined;
+        case 'negate':
+            return endsWithDice(node.operand);
+        case 'binary':
+            return endsWithDice(node.right);
+    }
+    return false;
+};
+
+/**
+ * Tests whether the text of part of an expression ends with a reference as the argument of a dice modifier, like
+ * "4d6kh@k".
+ * @ignore
+ */
+const endsWithReferenceArg = node => {
+    switch (node.type) {
+        case 'dice':
+            return node.label === undefined && node.modifiers.length > 0 && isReference(last(node.modifiers).arg);
+        case 'negate':
+            return endsWithReferenceArg(node.operand);
+        case 'binary':
+            return endsWithReferenceArg(node.right);
+    }
+    return false;
+};
+
+/**
+ * Formats a syntax tree as text, adding only the parentheses the grammar needs. A sign may only begin a sum or follow
+ * "*" or "/", so elsewhere a negation is parenthesized. Compact text leaves out counts of 1 and the spaces around
+ * arithmetic and between arguments, which the grammar doesn't need.
+ * @ignore
+ */
+const formatNode = (node, allowSign, compact = false) => {
+    const signed = text => allowSign ? text : `(${text})`;
+    const separator = compact ? ',' : ', ';
+    switch (node.type) {
+        case 'constant':
+            return node.value < 0 ? signed(`-${-node.value}`) : `${node.value}${formatLabel(node)}`;
+        case 'reference':
+            return `@${node.name}${formatLabel(node)}`;
+        case 'dice':
+            return `${formatDice(node, compact)}${formatLabel(node)}`;
+        case 'call':
+            return `${node.name}(${node.args.map(arg => formatNode(arg, true, compact)).join(separator)})`;
+        case 'group':
+            return `{${node.members.map(member => formatNode(member, true, compact)).join(separator)}}`
+                + formatModifiers(node.modifiers);
+        case 'repeat':
+            return `${node.count}x ${formatNode(node.body, true, compact)}`;
+        case 'compare': {
+            const leftText = formatNode(node.left, true, compact);
+            // Otherwise the comparison would be read as a target of the dice.
+            const safeLeft = endsWithDice(node.left) ? `(${leftText})` : leftText;
+            return `${safeLeft} ${node.op} ${formatNode(node.right, true, compact)}`;
+        }
+        case 'negate': {
+            const { operand } = node;
+            const primary = ['reference', 'dice', 'call', 'group'].includes(operand.type)
+                || (operand.type === 'constant' && operand.value >= 0);
+            return signed(`-${primary
+                ? formatNode(operand, false, compact)
+                : `(${formatNode(operand, true, compact)})`}`);
+        }
+    }
+    const precedence = PRECEDENCE[node.op];
+    const { left, right } = node;
+    const leftText = left.type === 'binary' && PRECEDENCE[left.op] < precedence
+        ? `(${formatNode(left, true, compact)})`
+        : formatNode(left, allowSign, compact);
+    const rightText = right.type === 'binary' && PRECEDENCE[right.op] <= precedence
+        ? `(${formatNode(right, true, compact)})`
+        : formatNode(right, precedence === 2, compact);
+    // The space after a reference argument ends the modifier, so it is kept.
+    const space = compact && !endsWithReferenceArg(left) ? '' : ' ';
+    return `${leftText}${space}${node.op}${space}${rightText}`;
+};
+
+/**
+ * @name TermsFunction
+ * @function
+ * @param {RandomSource} rng The source of random rolls.
+ * @param {object} context The values of references, by name.
+ * @return {Array<Term>} The unreduced value of part of an expression: a list of terms which are either constants or
+ * the rolls of a dice pool, and which sum to the value.
+ */
+
+/**
+ * @name RollFunction
  * @function
- * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "3d6-4+2d4").
- * @returns {function} A function that will evaluate the result of the dice expression when it's called.
+ * @param {object} [context] The values of any references in the expression, by name, e.g. `{ str: 3 }` for "@str".
+ * @param {boolean} [reduce] Whether to sum the result, which is the default; otherwise the result is a list of the
+ * constants and dice rolls that sum to it. May be given without a context.
+ * @returns {number|Symbols|Array|LabelledResult|Comparison} The result of the roll, which for narrative dice is the
+ * tally of their symbols; for a repeated expression like "6x 4d6kh3", a list of the result of each repetition.
+ * @throws {MissingReferenceError} When the context has no value for a reference.
+ * @throws {InvalidReferenceError} When a reference has a value which can't be used.
+ */
+
+/**
+ * @typedef {object} LabelledResult
+ * The result of rolling an expression with labels, like "1d8[slashing] + 2d6[fire]".
+ * @property {number|Symbols|Array} total The result of the whole expression, as for an expression without labels.
+ * @property {Object<string, number|Symbols|Array>} labels The result of the chunks with each label, by label, in the
+ * order the labels first appear; chunks without a label are only in the total.
+ */
+
+/**
+ * @typedef {object} Comparison
+ * The result of rolling a comparison, like "1d20+5 vs 1d20+3" or "3d6 <= 12". Its `detail` has the same properties,
+ * with the {@link RollDetail} of each side.
+ * @property {number|Array|LabelledResult} left The result of the left side, as though it were rolled on its own.
+ * @property {number|Array|LabelledResult} right The result of the right side.
+ * @property {string|null} winner The side which won, "left" or "right", or null for a tie which no one wins; see
+ * {@link comparisonWinner}.
+ * @property {number} margin The total of the left side less that of the right.
+ * @property {boolean} success Whether the left side won.
+ */
+
+/**
+ * @typedef {object} Warning
+ * A legal but suspicious part of an expression, located like an error.
+ * @property {string} code What is suspicious: `ENDLESS_EXPLOSION` for an explosion on every face of the die, which
+ * always exceeds the roll limit; `NO_MATCH` for a modifier or target matching no face of the die; `NO_EFFECT` for a
+ * keep which keeps every die, or a drop which drops none; or `AMBIGUOUS_COMPARISON` for a target which every face
+ * meets, like "3d6 <= 12", where a comparison of the total was perhaps meant.
+ * @property {string} message A description of the warning.
+ * @property {number} offset The offset of the suspicious part in the original expression, including whitespace.
+ * @property {number} length The number of characters in the suspicious part.
+ * @property {string} token The suspicious part, as it appears in the original expression.
+ */
+
+/**
+ * @typedef {object} Validation
+ * @property {boolean} valid Whether the expression can be parsed.
+ * @property {Array<DiceError>} errors The error parsing the expression throws, if any; parsing stops at the first
+ * error, so there is never more than one.
+ * @property {Array<Warning>} warnings The suspicious parts of a valid expression, in order.
+ */
+
+/**
+ * Modifiers which add dice to a pool, so that the number of dice kept isn't known.
+ * @ignore
+ */
+const ADDING_MODIFIERS = ['T', '!', '!P'];
+
+/**
+ * Modifiers whose dice may no longer show faces of the die.
+ * @ignore
+ */
+const CHANGING_MODIFIERS = ['!!', '!P'];
+
+/**
+ * Lists the suspicious modifiers of a dice or group node. Dice are followed through the modifiers for as long as it's
+ * known how many are kept and which faces they may show; a custom modifier may do anything, so ends both.
+ * @ignore
+ */
+const modifierWarnings = (expr, node) => {
+    const warnings = [];
+    const warn = (code, modifier, message) =>
+        warnings.push({ code, message: `"${modifier.text}" ${message}`, ...span(expr, modifier.start, modifier.end) });
+    const dieFaces = node.type === 'dice' ? faceValues(node) : null;
+    const member = node.type === 'dice' ? 'die' : 'member';
+    let faces = dieFaces;
+    let kept = isReference(node.num) ? null : node.type === 'dice' ? node.num : node.members.length;
+    node.modifiers.forEach(modifier => {
+        const { func, arg, compare } = modifier;
+        const known = arg !== null && !isReference(arg);
+        if (modifier.custom) {
+            faces = null;
+            kept = null;
+            return;
+        }
+        if (['KH', 'KL', 'DH', 'DL'].includes(func)) {
+            const keeps = func[0] === 'K';
+            if (known && keeps && kept !== null && arg >= kept) {
+                warn('NO_EFFECT', modifier, `keeps every ${member}, so has no effect`);
+            } else if (known && !keeps && arg === 0) {
+                warn('NO_EFFECT', modifier, 'drops nothing, so has no effect');
+            }
+            kept = !known || kept === null ? null : keeps ? Math.min(kept, arg) : Math.max(kept - arg, 0);
+            return;
+        }
+        const matches = values => values.filter(face => comparisons[compare](face, arg)).length;
+        if (known && faces && matches(faces) === 0) {
+            warn('NO_MATCH', modifier, 'matches no face of the die, so never applies');
+        } else if (known && func === 'S' && faces && matches(faces) === faces.length) {
+            const message = 'counts every die as a success; put the dice in parentheses to compare their total';
+            warn('AMBIGUOUS_COMPARISON', modifier, message);
+        } else if (known && ['!', '!!', '!P'].includes(func) && matches(dieFaces) === dieFaces.length) {
+            warn('ENDLESS_EXPLOSION', modifier, 'explodes on every face of the die, so always exceeds the roll limit');
+        }
+        kept = ADDING_MODIFIERS.includes(func) ? null : kept;
+        faces = CHANGING_MODIFIERS.includes(func) ? null : faces;
+    });
+    return warnings;
+};
+
+/**
+ * @typedef {object} ParseOptions
+ * @property {RandomSource} [rng] The source of random rolls used by the roll function.
+ * @property {boolean} [critical] Whether to roll a critical, in which every pool rolls more dice according to the
+ * parser's `critMultiplier`, e.g. "4d6 + 3" for "2d6 + 3".
+ */
+
+/**
+ * @typedef {object} ParserOptions
+ * @property {number} [maxChunks] The largest number of chunks allowed in one expression; default 10.
+ * @property {number} [maxDice] The largest allowable static dice pool; default 100.
+ * @property {number} [maxFaces] The largest number of faces allowed on any die; default 1000.
+ * @property {number} [maxLength] The largest expression that may be parsed; default 60.
+ * @property {number} [maxExplosions] The largest number of dice that a pool may grow to through explosions; defaults
+ * to the same as maxDice.
+ * @property {string} [rounding] How the result of a division is rounded when it isn't inside a rounding function: one
+ * of "floor" (the default), "ceil" or "round".
+ * @property {RandomSource} [rng] The source of random rolls used unless another is given to parse; by default rolls
+ * use `Math.random`.
+ * @property {number} [cacheSize] The most parsed expressions kept in the parser's cache, evicting the least recently
+ * used; default 1000. Distributions computed for the parser have a cache of the same size.
+ * @property {number|function} [critMultiplier] How many times as many dice a pool rolls on a critical roll; default 2.
+ * May instead be a function given the dice node, with its `num` and `die`, which returns the number of dice to roll.
+ * @property {string} [ties] Who wins a contest like "1d20+5 vs 1d20+3" when both sides roll the same total: "none"
+ * (the default), "left" or "right".
+ */
+
+/**
+ * @typedef {object} Parser
+ * @property {function} parse Produces a roll function for an expression; see {@link parse}.
+ * @property {function} parseAst Parses an expression into a syntax tree; see {@link parseAst}.
+ * @property {function} compile Produces a roll function for a syntax tree; see {@link compile}.
+ * @property {function} format Formats an expression as canonical text; see {@link format}.
+ * @property {function} validate Checks an expression without throwing; see {@link validate}.
+ * @property {Limits} limits The limits applied by this parser.
+ * @property {RandomSource} rng The source of random rolls used unless another is given.
+ * @property {string} rounding How the result of a division is rounded when it isn't inside a rounding function.
+ * @property {number|function} critMultiplier How many dice pools roll on a critical roll.
+ * @property {string} ties Who wins a tied contest.
+ * @property {number} cacheSize The most parsed expressions kept in the parser's cache.
+ * @property {function} clearCache Empties the parser's cache and resets its statistics.
+ * @property {function} cacheStats Gives the {@link CacheStats} of the parser's cache.
+ * @property {function} registerModifier Registers a custom modifier with this parser; see {@link registerModifier}.
+ */
+
+/**
+ * Matches a built-in modifier or target at the start of a token.
+ * @ignore
+ */
+const BUILT_IN_MODIFIER = new RegExp(`^(?:${DICE_MODIFIERS}|${DICE_TARGETS})`);
+
+/**
+ * @typedef {object} ModifierOptions
+ * @property {string} token The letters which name the modifier in expressions, e.g. "min". Tokens aren't case
+ * sensitive, and may not begin with a built-in modifier, like "r" or "kh".
+ * @property {string} [argGrammar] What argument the modifier takes, one of the keys of `MODIFIER_ARGS`: "none",
+ * "number" (the default) or "compare", which also allows compare points like ">=5".
+ * @property {number|function|null} [defaultArg] The argument used when none is given; null, the default, leaves it
+ * null. A function is given the `num`, `lowest` and `highest` of the pool being modified.
+ * @property {function} apply Modifies a pool of dice; see {@link registerModifier}.
+ */
+
+/**
+ * Creates a parser with its own limits and its own cache of parsed expressions.
+ * 
+ * @param {ParserOptions} [options] Options for the parser.
+ * @returns {Parser} The parser.
  */
-export const parse = memoize((expr) => {
-    if (expr.length > MAX_LENGTH) {
-        throw new ExpressionTooLongError(`Expression is too long: ${expr.length} > ${MAX_LENGTH}`);
+export const createParser = ({
+    rng: defaultRng = random,
+    rounding = 'floor',
+    cacheSize = DEFAULT_CACHE_SIZE,
+    critMultiplier = 2,
+    ties = 'none',
+    ...options
+} = {}) => {
+    if (!(rounding in roundingFunctions)) {
+        throw new TypeError(`Unknown rounding: ${rounding}`);
     }
-    // Tidy and split into chunks: 3d6 + 1 -2 d2 => "3d6", "+1", "-2d2"
-    const chunks = flow(toString, toLower, replaceAll(' ', ''), chunk)(expr);
-    if (chunks.length > MAX_CHUNKS) {
-        throw new TooManyChunksError(`Expression contains too many chunks: ${chunks.length} > ${MAX_CHUNKS}`);
+    if (!TIE_RULES.includes(ties)) {
+        throw new TypeError(`Unknown tie rule: ${ties}`);
     }
-    if (chunks.some(isInvalidChunk)) {
-        throw new InvalidChunkError(`"${expr}" contains invalid or unsupported parts: ${chunks.filter(isInvalidChunk)}`);
+    if (typeof critMultiplier !== 'function' && !(Number.isSafeInteger(critMultiplier) && critMultiplier >= 1)) {
+        throw new TypeError(`Invalid critMultiplier: ${critMultiplier}`);
     }
-    const parts = chunks.map(createPart);
-    const roll = () => parts.map(part => part());
-    return (reduce = true) => reduce ? roll().flat().reduce(sum) : roll();
-});
+    checkCacheSize(cacheSize);
+    const limits = Object.freeze(defaults(
+        pick(options, Object.keys(DEFAULT_LIMITS)),
+        { maxExplosions: options.maxDice },
+        DEFAULT_LIMITS,
+    ));
+    Object.entries(limits).forEach(([name, limit]) => {
+        if (!(limit === Infinity || (Number.isSafeInteger(limit) && limit >= 0))) {
+            throw new TypeError(`Invalid ${name}: ${limit}`);
+        }
+    });
+    // The custom modifiers registered with this parser, by upper cased token, and the pattern matching them.
+    const customModifiers = new Map();
+    let customPattern = '';
+
+    /**
+     * Gives the dice a pool rolls on a critical roll. Counts given by references are left until they are known.
+     * @ignore
+     */
+    const criticalDice = dice => {
+        if (!dice.critical || isReference(dice.num)) {
+            return dice;
+        }
+        const num = typeof critMultiplier === 'function' ? critMultiplier(dice) : dice.num * critMultiplier;
+        if (!Number.isSafeInteger(num) || num < 0) {
+            throw new TypeError(`critMultiplier gave an invalid number of dice: ${num}`);
+        }
+        return { ...dice, num };
+    };
+
+    /**
+     * Creates a function that rolls a number of dice and applies any modifiers according to the given dice node.
+     *
+     * @param {DiceNode} node The dice node, like that for '4d6'.
+     * @returns {function} A function which rolls the dice, given a source of random rolls. It returns every die rolled,
+     * and the `value` each kept die adds to the pool: its face, its score when the pool counts successes, or its
+     * symbols when it is a narrative die. Annotations mark the dice once every other modifier has been applied.
+     */
+    const createRoll = ({ num, die, offset, faces, symbols, modifiers }) => {
+        // A narrative pool counts the symbols on each die rather than its face.
+        const score = symbols ? d => d.symbols : modifiers.some(isTarget) ? dieScore : d => d.face;
+        const newDie = symbols ? face => createDie(face, { symbols: symbols[face - 1] }) : face => createDie(face);
+        const ordered = [...modifiers.filter(modifier => !isAnnotation(modifier)), ...modifiers.filter(isAnnotation)];
+        return rng => {
+            const rollDice = diceFunc(die, offset, rng, faces);
+            const applyModifier = createModifier(ordered, rollDice(1), limits, customModifiers);
+            const dice = applyModifier(rollDice(num)().map(newDie));
+            return { dice, value: dice.filter(isKept).map(score) };
+        };
+    };
+
+    /**
+     * Produces a function which evaluates part of an expression. Sums keep the terms of their operands, so that
+     * every dice pool added to or subtracted from the expression is still visible when it is unreduced; any other
+     * operation produces a single constant.
+     * 
+     * @param {string} expr The expression being compiled, used in error messages.
+     * @param {AstNode} node The syntax tree of the part of the expression.
+     * @param {boolean} exact Whether divisions are left unrounded because a rounding function will round them.
+     * @returns {TermsFunction} A function which evaluates the part of the expression.
+     */
+    const compileNode = (expr, node, exact) => {
+        switch (node.type) {
+            case 'constant': {
+                const { value } = node;
+                const chunk = { text: String(value), sign: 1, value, subtotal: value, ...chunkLabel(node) };
+                return () => [{ value, chunk }];
+            }
+            case 'reference': {
+                const text = `@${node.name}`;
+                const lookup = locating(expr, node, referenceValue);
+                return (rng, context) => {
+                    const value = lookup(node, context);
+                    return [{ value, chunk: { text, sign: 1, value, subtotal: value, ...chunkLabel(node) } }];
+                };
+            }
+            case 'dice': {
+                // The tree may have been rewritten since it was parsed, so the dice are checked again. Errors checking
+                // or rolling the dice are located at the chunk. Dice with references are checked once they're known.
+                const check = locating(expr, node, checkDice);
+                const critical = locating(expr, node, criticalDice);
+                const pool = critical(node);
+                check(pool, node.text, limits);
+                const fixed = diceReferences(node).length === 0 && locating(expr, node, createRoll(pool));
+                return (rng, context) => {
+                    let roll = fixed;
+                    if (!roll) {
+                        const dice = critical(resolveDice(expr, node, context, customModifiers));
+                        check(dice, node.text, limits);
+                        roll = locating(expr, node, createRoll(dice));
+                    }
+                    const { dice, value } = roll(rng);
+                    const subtotal = node.symbols ? tallySymbols(value) : value.reduce(sum, 0);
+                    return [{ value, chunk: { text: node.text, sign: 1, dice, subtotal, ...chunkLabel(node) } }];
+                };
+            }
+            case 'negate': {
+                const operand = compileNode(expr, node.operand, exact);
+                return (rng, context) => operand(rng, context).map(negateTerm);
+            }
+            case 'call': {
+                const args = node.args.map(arg => compileNode(expr, arg, exactArgs(node.name, exact)));
+                const apply = expressionFunctions[node.name];
+                return (rng, context) => {
+                    const terms = args.map(arg => arg(rng, context));
+                    return [calculated(apply(...terms.map(total)), ...terms)];
+                };
+            }
+            case 'group': {
+                const members = node.members.map(member => compileNode(expr, member, exact));
+                return (rng, context) => {
+                    const terms = members.map(member => member(rng, context));
+                    const totals = terms.map(total);
+                    // Members are selected like dice, remembering which member each die stands for.
+                    const modifiers = resolveModifiers(expr, node.modifiers, totals.length, 0, 0, context);
+                    const selected = createModifier(modifiers, null, limits)(
+                        totals.map((value, member) => createDie(value, { member })));
+                    const kept = new Set(selected.filter(isKept).map(({ member }) => member));
+                    const chunks = terms.flatMap((memberTerms, member) => memberTerms.flatMap(chunksOf)
+                        .map(chunk => kept.has(member) ? chunk : { ...chunk, dropped: true }));
+                    return [{ value: totals.filter((value, member) => kept.has(member)).reduce(sum, 0), chunks }];
+                };
+            }
+        }
+        const left = compileNode(expr, node.left, exact);
+        const right = compileNode(expr, node.right, exact);
+        switch (node.op) {
+            case '+': return (rng, context) => [...left(rng, context), ...right(rng, context)];
+            case '-': return (rng, context) => [...left(rng, context), ...right(rng, context).map(negateTerm)];
+        }
+        const round = exact ? identity : roundingFunctions[rounding];
+        // Dividing by zero is located at the divisor.
+        const divideLocated = locating(expr, node.right, divide);
+        const apply = node.op === '*' ? (a, b) => a * b : (a, b) => round(divideLocated(expr, a, b));
+        return (rng, context) => {
+            const leftTerms = left(rng, context);
+            const rightTerms = right(rng, context);
+            return [calculated(apply(total(leftTerms), total(rightTerms)), leftTerms, rightTerms)];
+        };
+    };
+
+    /**
+     * Parses a dice expression into a syntax tree, in which each dice node describes its pool and modifiers. The tree
+     * may be analysed or rewritten, then rolled with {@link compile}.
+     *
+     * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+     * @returns {Ast} The syntax tree.
+     */
+    const parseAst = expr => {
+        const readModifiers = (modifiers, num, lowest, highest) =>
+            modifiers.map(({ reference, ...modifier }) => ({
+                ...modifier,
+                ...parseModifier(modifier.text, num, lowest, highest, customModifiers),
+                ...(reference && { arg: referenceNode(reference) }),
+            }));
+        // Groups and repetitions may not roll more dice than a single pool could.
+        const checkTotal = (node, count, message) => {
+            if (count > limits.maxDice) {
+                throw locate(new TooManyDiceError(`${message}: ${count} > ${limits.maxDice}`, {
+                    limit: limits.maxDice,
+                    actual: count,
+                }), expr, node);
+            }
+        };
+        const body = mapNodes(parseExpression(expr, limits, { modifiers: customPattern }), node => {
+            switch (node.type) {
+                case 'dice': {
+                    const { reference, ...chunk } = node;
+                    const pool = readPool(node.text);
+                    const num = reference ? referenceNode(reference) : pool.num;
+                    const modifiers = readModifiers(node.modifiers, num, pool.lowest, pool.highest);
+                    const dice = { ...chunk, ...pool, num, modifiers };
+                    locating(expr, node, checkDice)(dice, node.text, limits);
+                    return dice;
+                }
+                case 'group':
+                    checkTotal(node, staticDice(node), 'Group rolls too many dice');
+                    return { ...node, modifiers: readModifiers(node.modifiers, node.members.length) };
+                case 'repeat':
+                    checkTotal(node, node.count, 'Too many repetitions');
+                    checkTotal(node, node.count * staticDice(node.body), 'Repetition rolls too many dice');
+                    return node;
+            }
+            return node;
+        });
+        return { type: 'expression', source: expr, body, start: 0, end: expr.length };
+    };
+
+    /**
+     * Produces a function which evaluates part of an expression that is rolled on its own, either the whole of it or
+     * one side of a comparison, how its terms are reduced: summed, or tallied when it rolls narrative dice, and
+     * whether it has labels. A critical roll multiplies its dice.
+     * @ignore
+     */
+    const compileRoll = (source, node, critical) => {
+        const reduce = isNarrativeNode(source, node) ? tally : total;
+        const labelled = nodeLabels(source, node).length > 0;
+        const annotated = isAnnotated(node);
+        const body = mapNodes(node, part => part.type === 'dice'
+            ? { ...annotateDice(part, annotated), ...(critical && { critical }) }
+            : part);
+        return { evaluate: compileNode(source, body, false), reduce, labelled };
+    };
+
+    /**
+     * Produces the function which evaluates a syntax tree, as {@link compileRoll} does, and how many times it is
+     * repeated, null when it isn't. A comparison instead has its operator and the same for each of its sides.
+     * @ignore
+     */
+    const compileAst = (ast, critical = false) => {
+        const { source, body } = ast.type === 'expression' ? ast : { source: '', body: ast };
+        const count = body.type === 'repeat' ? body.count : null;
+        const root = body.type === 'repeat' ? body.body : body;
+        if (root.type !== 'compare') {
+            return { ...compileRoll(source, root, critical), count };
+        }
+        // Only numbers can be compared.
+        isNarrativeNode(source, root);
+        const left = compileRoll(source, root.left, critical);
+        const right = compileRoll(source, root.right, critical);
+        return { compare: { op: root.op, left, right }, count };
+    };
+
+    /**
+     * Produces a function which evaluates a complete dice roll expression. This doesn't depend on the source of random
+     * rolls, so it is shared by every roll function for the same expression while the expression stays in the cache.
+     * 
+     * @function
+     * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+     * @returns {object} A function which evaluates the expression (`evaluate`), how many times it is repeated
+     * (`count`), a function which reduces its terms to a result (`reduce`), whether it has labels (`labelled`), and a
+     * function giving the same for a critical roll (`critical`), which is compiled the first time it is needed. A
+     * comparison instead has its operator and the same for each of its sides (`compare`).
+     */
+    const compileExpression = memoizeBounded(expr => {
+        const ast = parseAst(expr);
+        return { ...compileAst(ast), critical: once(() => compileAst(ast, true)) };
+    }, cacheSize);
+
+    /**
+     * Creates a roll function from a function which evaluates an expression. A repeated expression gives a list of
+     * results, one for each repetition. An expression with labels gives the result of each label with its total, and
+     * a comparison gives the result of each side with the outcome of comparing their totals.
+     * @ignore
+     */
+    const rollFunction = ({ count, compare, ...expression }, rng) => {
+        // Rolls the expression, or each side of a comparison in turn, giving what the function makes of its terms.
+        const rolled = (context, f) => {
+            const rollOnce = () => {
+                if (!compare) {
+                    return f(expression, expression.evaluate(rng, context));
+                }
+                const [left, right] = [compare.left, compare.right].map(side => {
+                    const terms = side.evaluate(rng, context);
+                    return { result: f(side, terms), total: side.reduce(terms) };
+                });
+                const margin = left.total - right.total;
+                const winner = comparisonWinner(compare.op, ties, margin);
+                return { left: left.result, right: right.result, winner, margin, success: winner === 'left' };
+            };
+            return count === null ? rollOnce() : Array.from({ length: count }, rollOnce);
+        };
+        const roll = (context = {}, reduce = true) => {
+            // Whether to reduce may be given alone.
+            if (typeof context === 'boolean') {
+                return roll({}, context);
+            }
+            return rolled(context, ({ reduce: reduceTerms, labelled }, terms) => {
+                const result = reduce ? reduceTerms : values => values.map(term => term.value);
+                return labelled ? { total: result(terms), labels: labelTotals(terms, result) } : result(terms);
+            });
+        };
+        roll.detail = (context = {}) => rolled(context, ({ reduce: reduceTerms, labelled }, terms) => {
+            const chunks = terms.flatMap(chunksOf);
+            return {
+                total: reduceTerms(terms),
+                chunks,
+                critical: anyDie(chunks, 'critical'),
+                fumble: anyDie(chunks, 'fumble'),
+                ...(labelled && { labels: labelTotals(terms, reduceTerms) }),
+            };
+        });
+        return roll;
+    };
+
+    /**
+     * Produces a function for a given complete dice roll expression which, when called with no params, will evaluate
+     * the result of that expression.
+     * 
+     * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+     * @param {ParseOptions} [options] Options for the roll function.
+     * @returns {RollFunction} A function that will evaluate the result of the dice expression when it's called. Its
+     * `detail` method, which also takes a context, instead evaluates a {@link RollDetail} showing every die rolled.
+     */
+    const parse = (expr, { rng = defaultRng, critical = false } = {}) => {
+        const compiled = compileExpression(expr);
+        return rollFunction(critical ? compiled.critical() : compiled, rng);
+    };
+
+    /**
+     * Produces a roll function for a syntax tree, like that produced by {@link parse} for the expression it came from.
+     * The dice in the tree are checked against this parser's limits.
+     *
+     * @param {Ast|AstNode} ast The syntax tree, or any node within it.
+     * @param {ParseOptions} [options] Options for the roll function.
+     * @returns {function} A roll function; see {@link parse}.
+     */
+    const compile = (ast, { rng = defaultRng, critical = false } = {}) => rollFunction(compileAst(ast, critical), rng);
+
+    /**
+     * Evaluates part of an expression which contains no dice.
+     *
+     * @param {AstNode} node The syntax tree of the part of the expression.
+     * @param {boolean} exact Whether divisions are left unrounded because a rounding function will round them.
+     * @returns {number} The value, or NaN when the part contains dice, references or groups, or divides by zero.
+     */
+    const constantValue = (node, exact) => {
+        // A labelled chunk keeps its label, so isn't folded into other constants.
+        if (node.label !== undefined) {
+            return NaN;
+        }
+        switch (node.type) {
+            case 'constant': return node.value;
+            case 'reference': return NaN;
+            case 'dice': return NaN;
+            case 'group': return NaN;
+            case 'repeat': return NaN;
+            case 'compare': return NaN;
+            case 'negate': return -constantValue(node.operand, exact);
+            case 'call': {
+                const args = node.args.map(arg => constantValue(arg, exactArgs(node.name, exact)));
+                return expressionFunctions[node.name](...args);
+            }
+        }
+        const left = constantValue(node.left, exact);
+        const right = constantValue(node.right, exact);
+        switch (node.op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+        }
+        const round = exact ? identity : roundingFunctions[rounding];
+        return right === 0 ? NaN : round(left / right);
+    };
+
+    /**
+     * Simplifies a syntax tree without changing how it rolls. Parts without dice are folded into a constant when they
+     * have an integer value; in each sum the constants are added together and moved after the other terms, and
+     * negations are merged into the signs of the terms. Dice keep their order, so they use the same random rolls.
+     *
+     * @param {AstNode} node The syntax tree of the part of the expression.
+     * @param {boolean} exact Whether divisions are left unrounded because a rounding function will round them.
+     * @returns {AstNode} The simplified tree.
+     */
+    const simplify = (node, exact) => {
+        const value = constantValue(node, exact);
+        if (Number.isSafeInteger(value)) {
+            return { type: 'constant', value };
+        }
+        switch (node.type) {
+            case 'constant':
+            case 'reference':
+            case 'dice':
+                return node;
+            case 'call':
+                return { ...node, args: node.args.map(arg => simplify(arg, exactArgs(node.name, exact))) };
+            case 'group':
+                return { ...node, members: node.members.map(member => simplify(member, exact)) };
+            case 'repeat':
+                return { ...node, body: simplify(node.body, exact) };
+            case 'compare':
+                return { ...node, left: simplify(node.left, exact), right: simplify(node.right, exact) };
+            case 'binary':
+                if (PRECEDENCE[node.op] === 2) {
+                    return { ...node, left: simplify(node.left, exact), right: simplify(node.right, exact) };
+                }
+        }
+        // Flatten the sum into signed terms.
+        const terms = [];
+        const collect = (term, sign) => {
+            if (term.type === 'negate') {
+                collect(term.operand, -sign);
+            } else if (term.type === 'binary' && PRECEDENCE[term.op] === 1) {
+                collect(term.left, sign);
+                collect(term.right, term.op === '-' ? -sign : sign);
+            } else {
+                terms.push({ sign, term: simplify(term, exact) });
+            }
+        };
+        collect(node, 1);
+        const folded = ({ term }) => term.type === 'constant' && term.label === undefined;
+        const constant = terms.filter(folded).reduce((acc, { sign, term }) => acc + sign * term.value, 0);
+        const others = terms.filter(term => !folded(term));
+        if (constant !== 0) {
+            others.push({ sign: Math.sign(constant), term: { type: 'constant', value: Math.abs(constant) } });
+        }
+        const [first, ...rest] = others;
+        return rest.reduce(
+            (left, { sign, term }) => ({ type: 'binary', op: sign < 0 ? '-' : '+', left, right: term }),
+            first.sign < 0 ? { type: 'negate', operand: first.term } : first.term,
+        );
+    };
+
+    /**
+     * Formats an expression as canonical text: lower case, with consistent spacing, explicit dice counts and modifier
+     * arguments, and constants folded together. Equivalent expressions, like "d% + 1 + 2" and "1d100+3", give the same
+     * text, and parsing the text gives a roll function which rolls the same way as the expression. Constants are moved
+     * after the other terms of a sum, so the terms of an unreduced result may come in a different order, though they
+     * add up to the same total.
+     *
+     * When the canonical text would be longer than the parser accepts, it is given without counts of 1 and without
+     * the spaces around arithmetic, so that it can still be parsed.
+     *
+     * @param {string|Ast|AstNode} expr A full dice expression, or a syntax tree or any node within it.
+     * @returns {string} The canonical text.
+     * @throws {ExpressionTooLongError} When even the shorter text is too long to parse.
+     */
+    const format = expr => {
+        const ast = typeof expr === 'string' ? parseAst(expr) : expr;
+        const simplified = simplify(ast.type === 'expression' ? ast.body : ast, false);
+        const text = formatNode(simplified, true);
+        if (text.length <= limits.maxLength) {
+            return text;
+        }
+        const compact = formatNode(simplified, true, true);
+        if (compact.length > limits.maxLength) {
+            const message = `Formatted expression is too long: ${compact.length} > ${limits.maxLength}`;
+            throw new ExpressionTooLongError(message, {
+                limit: limits.maxLength,
+                actual: compact.length,
+            });
+        }
+        return compact;
+    };
+
+    /**
+     * Checks an expression against every rule that {@link parse} does, without throwing or caching it, and looks for
+     * legal but suspicious modifiers.
+     *
+     * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+     * @returns {Validation} Whether the expression is valid, the error parsing it throws, and any warnings.
+     * @throws {TypeError} When the expression isn't a string.
+     */
+    const validate = expr => {
+        if (typeof expr !== 'string') {
+            throw new TypeError(`Invalid expression: ${expr}`);
+        }
+        let ast;
+        try {
+            ast = parseAst(expr);
+            compileAst(ast);
+        } catch (error) {
+            if (!(error instanceof DiceError)) {
+                throw error;
+            }
+            return { valid: false, errors: [error], warnings: [] };
+        }
+        const warnings = [];
+        mapNodes(ast.body, node => {
+            if (node.type === 'dice' || node.type === 'group') {
+                warnings.push(...modifierWarnings(expr, node));
+            }
+            return node;
+        });
+        return { valid: true, errors: [], warnings: warnings.sort((a, b) => a.offset - b.offset) };
+    };
+
+    /**
+     * Registers a custom modifier with this parser; see {@link registerModifier}.
+     *
+     * @param {ModifierOptions} options The modifier.
+     * @throws {TypeError} When the options are invalid, or the token is already taken or reserved.
+     */
+    const registerModifier = ({ token, argGrammar = 'number', defaultArg = null, apply } = {}) => {
+        const key = toLower(token);
+        if (typeof token !== 'string' || !/^[a-z]+$/.test(key)) {
+            throw new TypeError(`Invalid modifier token: ${token}`);
+        }
+        if (customModifiers.has(key.toUpperCase()) || BUILT_IN_MODIFIER.test(key)) {
+            throw new TypeError(`Modifier token is already taken: "${key}" is or begins with another modifier`);
+        }
+        const reserved = RESERVED_WORDS.find(word => word.startsWith(key) || key.startsWith(word));
+        if (reserved) {
+            throw new TypeError(`Modifier token is reserved: "${key}" would be confused with "${reserved}"`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(MODIFIER_ARGS, argGrammar)) {
+            throw new TypeError(`Unknown argument grammar: ${argGrammar}`);
+        }
+        if (!(defaultArg === null || Number.isSafeInteger(defaultArg) || typeof defaultArg === 'function')
+            || (argGrammar === 'none' && defaultArg !== null)) {
+            throw new TypeError(`Invalid default argument for modifier "${key}": ${defaultArg}`);
+        }
+        if (typeof apply !== 'function') {
+            throw new TypeError(`Modifier "${key}" has no apply function`);
+        }
+        customModifiers.set(key.toUpperCase(), {
+            token: key,
+            argGrammar,
+            defaultArg,
+            create: customModifier(key, apply),
+        });
+        // Longer tokens are tried first, so that a token is never read as a shorter one followed by more.
+        customPattern = [...customModifiers.values()]
+            .sort((a, b) => b.token.length - a.token.length)
+            .map(modifier => `${modifier.token}${MODIFIER_ARGS[modifier.argGrammar]}`)
+            .join('|');
+        // Expressions compiled before may read differently now.
+        compileExpression.clearCache();
+    };
+
+    return {
+        parse,
+        parseAst,
+        compile,
+        format,
+        validate,
+        registerModifier,
+        limits,
+        rng: defaultRng,
+        rounding,
+        critMultiplier,
+        ties,
+        cacheSize,
+        clearCache: compileExpression.clearCache,
+        cacheStats: compileExpression.cacheStats,
+    };
+};
+
+/**
+ * The parser used when no limits or other options are needed.
+ * 
+ * @type {Parser}
+ */
+export const defaultParser = createParser();
+
+/**
+ * Registers a custom modifier with the default parser, e.g. "lift" to raise rolls below a minimum. Custom modifiers may
+ * be chained with the built-in ones, before any targets, and belong to the parser they are registered with, so that
+ * parsers made by {@link createParser} don't share them.
+ *
+ * The apply function is given the dice of the pool and `{ arg, compare, matches, roll, createDie }`: the argument, how
+ * dice are compared to it, a test of whether a kept die compares to it, a function to roll a further die, whose face
+ * it returns, and a function to create a {@link Die} from a face and any flags. Further rolls count towards the roll
+ * limit like explosions. It returns the modified dice, which are those shown in detailed results; the kept dice make
+ * up the total. Dice are never changed in place, but replaced with flags set, like `{ ...die, kept: false }`.
+ *
+ * @function
+ * @param {ModifierOptions} options The modifier.
+ * @throws {TypeError} When the options are invalid, or the token is already taken or reserved.
+ */
+export const registerModifier = defaultParser.registerModifier;
+
+/**
+ * Produces a function for a given complete dice roll expression which, when called with no params, will evaluate the
+ * result of that expression. This uses the default parser; see {@link createParser} to use different limits.
+ * 
+ * @function
+ * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+ * @param {ParseOptions} [options] Options for the roll function.
+ * @returns {RollFunction} A function that will evaluate the result of the dice expression when it's called. Its
+ * `detail` method, which also takes a context, instead evaluates a {@link RollDetail} showing every die rolled.
+ */
+export const parse = defaultParser.parse;
+
+/**
+ * Parses a dice expression into a syntax tree using the default parser. Dice nodes describe their pool and
+ * modifiers, and every node records where it is in the expression.
+ *
+ * @function
+ * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+ * @returns {Ast} The syntax tree.
+ */
+export const parseAst = defaultParser.parseAst;
+
+/**
+ * Produces a roll function for a syntax tree using the default parser, as `parse` does for an expression.
+ *
+ * @function
+ * @param {Ast|AstNode} ast The syntax tree, or any node within it.
+ * @param {ParseOptions} [options] Options for the roll function.
+ * @returns {function} A roll function; see {@link parse}.
+ */
+export const compile = defaultParser.compile;
+
+/**
+ * Formats an expression as canonical text using the default parser, e.g. "1d6 + 2" for " D6+3 -1". Equivalent
+ * expressions give the same text, so it may be used to store and compare expressions.
+ *
+ * @function
+ * @param {string|Ast|AstNode} expr A full dice expression, or a syntax tree or any node within it.
+ * @returns {string} The canonical text.
+ */
+export const format = defaultParser.format;
+
+/**
+ * Checks an expression against every rule that `parse` does using the default parser, without throwing or adding it
+ * to the cache, e.g. to check input as it is typed. Valid expressions may have warnings about legal but suspicious
+ * modifiers, like "d1!", which always exceeds the roll limit, "4d6kh4", which keeps every die, or "d6r7", which never
+ * rerolls.
+ *
+ * @function
+ * @param {string} expr A full dice expression which may consist of multiple parts (e.g. "(3d6-4)*2").
+ * @returns {Validation} Whether the expression is valid, the error parsing it throws, and any warnings.
+ * @throws {TypeError} When the expression isn't a string.
+ */
+export const validate = defaultParser.validate;
 
 export default parse;
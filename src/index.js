@@ -3,18 +3,81 @@
  */
 import {
     parse,
+    parseAst,
+    compile,
+    format,
+    validate,
+    tokenize,
+    registerDie,
+    registerModifier,
+    createParser,
+    defaultParser,
+    MODIFIER_ARGS,
+    DiceError,
     DieTooBigError,
+    DistributionTooComplexError,
+    DivisionByZeroError,
     ExpressionTooLongError,
+    ImpossibleConditionError,
     InvalidChunkError,
+    InvalidReferenceError,
+    MissingReferenceError,
     RollLimitExceededError,
     TooManyChunksError,
     TooManyDiceError
 } from './fdice.js';
+import { createDistribution, distribution } from './distribution.js';
+import { createSimulation, simulate } from './simulate.js';
+import { CANCELLING_SYMBOLS, GENESYS_DICE } from './narrative.js';
+import { fromFloat, secure, seeded, sequence } from './random.js';
+
+/**
+ * Empties the caches used by `parse` and `distribution`, and resets their statistics.
+ */
+const clearCache = () => {
+    defaultParser.clearCache();
+    distribution.clearCache();
+};
+
+/**
+ * Gives statistics for the caches used by `parse` and `distribution`.
+ *
+ * @returns {{parse: CacheStats, distribution: CacheStats}} The statistics of each cache.
+ */
+const cacheStats = () => ({ parse: defaultParser.cacheStats(), distribution: distribution.cacheStats() });
+
 export {
     parse,
+    parseAst,
+    compile,
+    format,
+    validate,
+    tokenize,
+    registerDie,
+    registerModifier,
+    createParser,
+    clearCache,
+    cacheStats,
+    distribution,
+    createDistribution,
+    simulate,
+    createSimulation,
+    CANCELLING_SYMBOLS,
+    GENESYS_DICE,
+    MODIFIER_ARGS,
+    fromFloat,
+    secure,
+    seeded,
+    sequence,
+    DiceError,
     DieTooBigError,
+    DistributionTooComplexError,
+    DivisionByZeroError,
     ExpressionTooLongError,
+    ImpossibleConditionError,
     InvalidChunkError,
+    InvalidReferenceError,
+    MissingReferenceError,
     RollLimitExceededError,
     TooManyChunksError,
     TooManyDiceError
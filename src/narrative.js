@@ -0,0 +1,107 @@
+/**
+ * @file Defines narrative dice, whose faces show symbols rather than numbers, and how their symbols are tallied.
+ */
+import isPlainObject from 'lodash/isPlainObject.js';
+
+/**
+ * @typedef {Object<string, number>} Symbols
+ * The number of each symbol on a face of a narrative die, or in a tally of rolls, by symbol name,
+ * e.g. `{ success: 1, advantage: 1 }`.
+ */
+
+/**
+ * The symbol each symbol turns into when a pool is subtracted.
+ * @ignore
+ */
+const OPPOSITES = {
+    success: 'failure',
+    failure: 'success',
+    advantage: 'threat',
+    threat: 'advantage',
+    triumph: 'despair',
+    despair: 'triumph',
+};
+
+/**
+ * Pairs of symbols which cancel each other out in a tally. Triumph and despair don't cancel, but each comes with a
+ * success or failure which does.
+ *
+ * @type {Array<Array<string>>}
+ */
+export const CANCELLING_SYMBOLS = [['success', 'failure'], ['advantage', 'threat']];
+
+/**
+ * The Genesys narrative dice, to be registered with `registerDie`: ability (a), proficiency (p), boost (b),
+ * difficulty (d), challenge (c) and setback (s). Dice which work against a roll are defined by the symbols they
+ * cancel, so they are subtracted, e.g. "2da + 1dp - 2dd".
+ *
+ * @type {Object<string, Array<Symbols>>}
+ */
+export const GENESYS_DICE = (() => {
+    const s = { success: 1 };
+    const ss = { success: 2 };
+    const a = { advantage: 1 };
+    const aa = { advantage: 2 };
+    const sa = { success: 1, advantage: 1 };
+    const triumph = { triumph: 1, success: 1 };
+    return Object.freeze({
+        a: [{}, s, s, ss, a, a, sa, aa],
+        p: [{}, s, s, ss, ss, a, sa, sa, sa, aa, aa, triumph],
+        b: [{}, {}, s, sa, aa, a],
+        d: [{}, s, ss, a, a, a, aa, sa],
+        c: [{}, s, s, ss, ss, a, a, sa, sa, aa, aa, triumph],
+        s: [{}, {}, s, s, a, a],
+    });
+})();
+
+/**
+ * Tests whether the faces of a die show symbols rather than numbers.
+ *
+ * @param {Array} faces The faces of the die.
+ * @returns {boolean} Whether every face is a map of symbol counts.
+ */
+export const isNarrative = faces => faces.every(isPlainObject);
+
+/**
+ * Tests whether a face of a narrative die is valid: a map from symbol names to whole, non-negative counts.
+ *
+ * @param {Symbols} face The face.
+ * @returns {boolean} Whether the face is valid.
+ */
+export const isSymbols = face => isPlainObject(face) && Object.entries(face)
+    .every(([symbol, count]) => /^[a-z][a-z0-9_]*$/.test(symbol) && Number.isSafeInteger(count) && count >= 0);
+
+/**
+ * Turns each symbol into its opposite, as when a pool is subtracted. Symbols without an opposite are counted as
+ * negative. The symbols are in alphabetical order.
+ *
+ * @param {Symbols} symbols The symbols.
+ * @returns {Symbols} The opposite symbols.
+ */
+export const negateSymbols = symbols => Object.fromEntries(Object.entries(symbols)
+    .map(([symbol, count]) => symbol in OPPOSITES ? [OPPOSITES[symbol], count] : [symbol, -count])
+    .sort(([a], [b]) => a < b ? -1 : 1));
+
+/**
+ * Tallies the symbols of some rolls, cancelling out opposed symbols. Symbols whose count is zero are left out, and the
+ * rest are in alphabetical order.
+ *
+ * @param {Array<Symbols>} rolls The symbols of each roll.
+ * @returns {Symbols} The net count of each symbol.
+ */
+export const tallySymbols = rolls => {
+    const counts = {};
+    rolls.forEach(symbols => Object.entries(symbols).forEach(([symbol, count]) => {
+        counts[symbol] = (counts[symbol] || 0) + count;
+    }));
+    CANCELLING_SYMBOLS.forEach(([a, b]) => {
+        const cancelled = Math.min(counts[a] || 0, counts[b] || 0);
+        if (cancelled > 0) {
+            counts[a] -= cancelled;
+            counts[b] -= cancelled;
+        }
+    });
+    return Object.fromEntries(Object.keys(counts).sort()
+        .filter(symbol => counts[symbol] !== 0)
+        .map(symbol => [symbol, counts[symbol]]));
+};
@@ -1,8 +1,95 @@
 /**
  * @file Defines randomisation functions; kept separate to allow simpler mocking.
  */
+import { randomFillSync } from 'node:crypto';
 import random from 'lodash/random.js';
+
+/**
+ * A source of random rolls. Any object with a suitable `die` function may be used.
+ *
+ * @typedef {object} RandomSource
+ * @property {function} die Given a number of sides, returns a random integer from 1 to that number inclusive.
+ */
+
 export const die = sides => random(1, sides);
 
+/**
+ * Creates a random source from a function returning numbers in the range [0, 1), like `Math.random`.
+ *
+ * @param {function} next The function producing random numbers.
+ * @returns {RandomSource} A random source using the function.
+ */
+export const fromFloat = next => ({ die: sides => 1 + Math.floor(next() * sides) });
+
+/**
+ * Creates a seeded, deterministic random source. Two sources created with the same seed produce the same rolls.
+ * This uses the mulberry32 generator, which is fast and well distributed but is not cryptographically secure.
+ *
+ * @param {number} seed The seed; only the lower 32 bits are used.
+ * @returns {RandomSource} A seeded random source.
+ */
+export const seeded = seed => {
+    let state = seed >>> 0;
+    return fromFloat(() => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    });
+};
+
+/**
+ * Creates a random source which produces a fixed sequence of rolls, e.g. to replay a previous game session.
+ *
+ * @param {Iterable<number>} values The rolls to produce, in order.
+ * @returns {RandomSource} A random source producing the given rolls.
+ * @throws {RangeError} When a roll is requested after the sequence is exhausted, or the next roll in the sequence is
+ * not possible on the die being rolled.
+ */
+export const sequence = values => {
+    const rolls = [...values];
+    let index = 0;
+    return {
+        die: sides => {
+            if (index >= rolls.length) {
+                throw new RangeError(`Random sequence exhausted after ${rolls.length} rolls`);
+            }
+            const roll = rolls[index++];
+            if (!Number.isInteger(roll) || roll < 1 || roll > sides) {
+                throw new RangeError(`Roll ${index} of the random sequence (${roll}) is not possible on a d${sides}`);
+            }
+            return roll;
+        },
+    };
+};
+
+/**
+ * The global Web Crypto API, or on versions of Node.js without one, an equivalent using its crypto module.
+ * @ignore
+ */
+const defaultCrypto = globalThis.crypto || { getRandomValues: array => randomFillSync(array) };
+
+/**
+ * Creates a cryptographically secure random source. Rolls are unbiased: raw values which would favour some faces are
+ * discarded and drawn again.
+ *
+ * @param {Crypto} [crypto] An implementation of the Web Crypto API; by default the global `crypto` is used, or
+ * `randomFillSync` from Node.js's crypto module where there is no global one.
+ * @returns {RandomSource} A secure random source.
+ */
+export const secure = (crypto = defaultCrypto) => {
+    const buffer = new Uint32Array(1);
+    return {
+        die: sides => {
+            const limit = 4294967296 - (4294967296 % sides);
+            do {
+                crypto.getRandomValues(buffer);
+            } while (buffer[0] >= limit);
+            return 1 + (buffer[0] % sides);
+        },
+    };
+};
+
 // Exporting an object allows simpler mocking of random elements in tests.
 export default { die };
@@ -0,0 +1,19 @@
+/**
+ * @file Simulates a share of the rolls of `simulate.parallel` in a worker thread.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { createParser } from './fdice.js';
+import { seeded } from './random.js';
+import { simulateTotals } from './simulate.js';
+
+const { ast, count, seed, context, options } = workerData;
+const parser = createParser(options);
+try {
+    const rng = seed === undefined ? parser.rng : seeded(seed);
+    parentPort.postMessage(simulateTotals(parser, ast, count, { rng, context }));
+} catch (error) {
+    // Errors lose their type when posted, so only what is needed to recreate them is sent.
+    const { code, message, offset, length, token, limit, actual } = error;
+    parentPort.postMessage({ error: { code, message, offset, length, token, limit, actual } });
+}
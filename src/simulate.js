@@ -0,0 +1,607 @@
+/**
+ * @file Simulates many rolls of a dice expression, summarising their totals.
+ */
+import * as os from 'node:os';
+import { Worker } from 'node:worker_threads';
+
+import * as errors from './errors.js';
+import { InvalidChunkError, RollLimitExceededError } from './errors.js';
+import { locate } from './expression.js';
+import {
+    comparisonWinner,
+    comparisons,
+    defaultParser,
+    diceReferences,
+    divide,
+    exactArgs,
+    expressionFunctions,
+    isAnnotation,
+    isTarget,
+    roundingFunctions,
+} from './fdice.js';
+
+/**
+ * Creates a function testing whether a face compares to an argument, like a modifier's.
+ * @ignore
+ */
+const matching = (arg, compare = '=') => {
+    const test = comparisons[compare];
+    return face => test(face, arg);
+};
+
+/**
+ * Creates a buffer holding the dice of a pool: the face of each die, whether it is kept, and whether it explodes in
+ * the next round of explosions.
+ * @ignore
+ */
+const createBuffer = capacity => ({
+    faces: new Float64Array(capacity),
+    kept: new Uint8Array(capacity),
+    exploding: new Uint8Array(capacity),
+    size: 0,
+});
+
+/**
+ * Grows a buffer so that it can hold at least the given number of dice, keeping those it holds.
+ * @ignore
+ */
+const reserve = (buffer, capacity) => {
+    if (capacity <= buffer.faces.length) {
+        return;
+    }
+    const grown = createBuffer(Math.max(capacity, buffer.faces.length * 2));
+    grown.faces.set(buffer.faces);
+    grown.kept.set(buffer.kept);
+    grown.exploding.set(buffer.exploding);
+    Object.assign(buffer, { faces: grown.faces, kept: grown.kept, exploding: grown.exploding });
+};
+
+/**
+ * Copies a die from one buffer to another, giving the position after it.
+ * @ignore
+ */
+const copyDie = (from, i, to, j) => {
+    to.faces[j] = from.faces[i];
+    to.kept[j] = from.kept[i];
+    to.exploding[j] = 0;
+    return j + 1;
+};
+
+/**
+ * Makes the spare buffer, which a step has filled, hold the pool.
+ * @ignore
+ */
+const swap = buffers => {
+    const { pool } = buffers;
+    buffers.pool = buffers.spare;
+    buffers.spare = pool;
+};
+
+/**
+ * Sorts the first dice of a buffer by face, in place. Pools are small, so an insertion sort is quick and needs no
+ * further memory.
+ * @ignore
+ */
+const sortFaces = (faces, length, descending) => {
+    for (let i = 1; i < length; i++) {
+        const face = faces[i];
+        let j = i - 1;
+        while (j >= 0 && (descending ? faces[j] < face : faces[j] > face)) {
+            faces[j + 1] = faces[j];
+            j--;
+        }
+        faces[j + 1] = face;
+    }
+};
+
+/**
+ * Creates a step which keeps or drops dice like `selectDice`: the kept dice are sorted, those at the positions rejected
+ * by `keep` are dropped, and the dice which were already dropped follow them.
+ * @ignore
+ */
+const selecting = (descending, keep) => ({ arg }, rollDie, buffers) => () => {
+    const { pool, spare } = buffers;
+    reserve(spare, pool.size);
+    let kept = 0;
+    for (let i = 0; i < pool.size; i++) {
+        if (pool.kept[i]) {
+            spare.faces[kept++] = pool.faces[i];
+        }
+    }
+    sortFaces(spare.faces, kept, descending);
+    for (let i = 0; i < kept; i++) {
+        spare.kept[i] = keep(i, arg) ? 1 : 0;
+    }
+    let j = kept;
+    for (let i = 0; i < pool.size; i++) {
+        if (!pool.kept[i]) {
+            j = copyDie(pool, i, spare, j);
+        }
+    }
+    spare.size = j;
+    swap(buffers);
+};
+
+/**
+ * Creates a step which explodes dice like `explodeWith`, in rounds which roll every exploding die in order. Each
+ * further roll is added to the pool right after the die which exploded, or compounded into it.
+ * @ignore
+ */
+const exploding = ({ compound = false, penalty = 0 }) => ({ arg, compare }, rollDie, buffers, maxExplosions) => {
+    const matches = matching(arg, compare);
+    return rng => {
+        let { pool } = buffers;
+        let rolled = 0;
+        let waiting = 0;
+        for (let i = 0; i < pool.size; i++) {
+            rolled += pool.kept[i];
+            pool.exploding[i] = pool.kept[i] && matches(pool.faces[i]) ? 1 : 0;
+            waiting += pool.exploding[i];
+        }
+        let sentinel = maxExplosions - rolled;
+        while (sentinel-- > 0 && waiting > 0) {
+            const { spare } = buffers;
+            reserve(spare, pool.size + waiting);
+            let next = 0;
+            let j = 0;
+            for (let i = 0; i < pool.size; i++) {
+                const explodes = pool.exploding[i];
+                j = copyDie(pool, i, spare, j);
+                if (!explodes) {
+                    continue;
+                }
+                const roll = rollDie(rng);
+                rolled++;
+                const again = matches(roll) ? 1 : 0;
+                next += again;
+                if (compound) {
+                    spare.faces[j - 1] += roll;
+                    spare.exploding[j - 1] = again;
+                } else {
+                    spare.faces[j] = roll - penalty;
+                    spare.kept[j] = 1;
+                    spare.exploding[j++] = again;
+                }
+            }
+            spare.size = j;
+            waiting = next;
+            swap(buffers);
+            pool = buffers.pool;
+        }
+        if (waiting > 0) {
+            const actual = rolled + waiting;
+            throw new RollLimitExceededError(`Explosion exceeded roll limit: ${actual} > ${maxExplosions}`, {
+                limit: maxExplosions,
+                actual,
+            });
+        }
+    };
+};
+
+/**
+ * The steps which apply each built-in modifier to a buffered pool, in the same way and in the same order of rolls as
+ * the modifier itself. Each is given the modifier, a function rolling a die, the buffers and the roll limit.
+ * @ignore
+ */
+const STEPS = {
+    'R': ({ arg, compare }, rollDie, buffers) => {
+        const matches = matching(arg, compare);
+        return rng => {
+            const { faces, kept, size } = buffers.pool;
+            for (let i = 0; i < size; i++) {
+                if (kept[i] && matches(faces[i])) {
+                    faces[i] = rollDie(rng);
+                }
+            }
+        };
+    },
+    'RR': ({ arg, compare }, rollDie, buffers, maxExplosions) => {
+        const matches = matching(arg, compare);
+        return rng => {
+            const { faces, kept, size } = buffers.pool;
+            let rolled = 0;
+            for (let i = 0; i < size; i++) {
+                rolled += kept[i];
+            }
+            for (let i = 0; i < size; i++) {
+                while (kept[i] && matches(faces[i])) {
+                    if (++rolled > maxExplosions) {
+                        throw new RollLimitExceededError(`Rerolls exceeded roll limit: ${maxExplosions}`, {
+                            limit: maxExplosions,
+                            actual: rolled,
+                        });
+                    }
+                    faces[i] = rollDie(rng);
+                }
+            }
+        };
+    },
+    'T': ({ arg, compare }, rollDie, buffers) => {
+        const matches = matching(arg, compare);
+        return () => {
+            const { pool, spare } = buffers;
+            reserve(spare, pool.size * 2);
+            let j = 0;
+            for (let i = 0; i < pool.size; i++) {
+                j = copyDie(pool, i, spare, j);
+                if (pool.kept[i] && matches(pool.faces[i])) {
+                    j = copyDie(pool, i, spare, j);
+                }
+            }
+            spare.size = j;
+            swap(buffers);
+        };
+    },
+    '!': exploding({}),
+    '!!': exploding({ compound: true }),
+    '!P': exploding({ penalty: 1 }),
+    'KH': selecting(true, (i, arg) => i < arg),
+    'KL': selecting(false, (i, arg) => i < arg),
+    'DH': selecting(true, (i, arg) => i >= arg),
+    'DL': selecting(false, (i, arg) => i >= arg),
+};
+
+/**
+ * Creates a function which rolls a dice pool into reusable buffers rather than creating a die for every roll, or null
+ * when the pool has modifiers which can't be rolled this way. Annotations don't change the roll, so are skipped, and
+ * targets must follow every other modifier. The function adds the value of each kept die to a running sum in turn,
+ * with a sign, just as the dice of a pool are summed with the rest of an expression.
+ * @ignore
+ */
+const createPoolRoller = ({ num, die, offset, faces, modifiers }, { maxExplosions }) => {
+    const applied = modifiers.filter(modifier => !isAnnotation(modifier));
+    const split = applied.findIndex(isTarget);
+    const steps = split === -1 ? applied : applied.slice(0, split);
+    const targets = split === -1 ? [] : applied.slice(split);
+    if (!steps.every(({ func }) => Object.prototype.hasOwnProperty.call(STEPS, func)) || !targets.every(isTarget)) {
+        return null;
+    }
+    const rollDie = faces ? rng => faces[rng.die(die) - 1] : rng => rng.die(die) + offset;
+    const buffers = { pool: createBuffer(num), spare: createBuffer(num) };
+    const apply = steps.map(step => STEPS[step.func](step, rollDie, buffers, maxExplosions));
+    const successes = targets.filter(({ func }) => func === 'S').map(({ arg, compare }) => matching(arg, compare));
+    const failures = targets.filter(({ func }) => func === 'F').map(({ arg, compare }) => matching(arg, compare));
+    const any = (tests, face) => {
+        for (let i = 0; i < tests.length; i++) {
+            if (tests[i](face)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const score = targets.length === 0 ? face => face
+        : face => (any(successes, face) ? 1 : 0) - (any(failures, face) ? 1 : 0);
+    return (rng, acc, sign) => {
+        const { pool } = buffers;
+        for (let i = 0; i < num; i++) {
+            pool.faces[i] = rollDie(rng);
+            pool.kept[i] = 1;
+        }
+        pool.size = num;
+        for (let i = 0; i < apply.length; i++) {
+            apply[i](rng);
+        }
+        const { faces: rolled, kept, size } = buffers.pool;
+        for (let i = 0; i < size; i++) {
+            if (kept[i]) {
+                acc += sign * score(rolled[i]);
+            }
+        }
+        return acc;
+    };
+};
+
+/**
+ * Gives the number of processors available, using `os.availableParallelism` where Node.js has it.
+ * @ignore
+ */
+const processors = () =>
+    typeof os.availableParallelism === 'function' ? os.availableParallelism() : Math.max(os.cpus().length, 1);
+
+/**
+ * Tests whether a number of rolls or workers is valid.
+ * @ignore
+ */
+const checkCount = (name, count) => {
+    if (!(Number.isSafeInteger(count) && count >= 1)) {
+        throw new TypeError(`Invalid ${name}: ${count}`);
+    }
+    return count;
+};
+
+/**
+ * @typedef {object} SimulationOptions
+ * @property {RandomSource} [rng] The source of random rolls; by default the parser's.
+ * @property {object} [context] The values of any references in the expression, as given to a roll function.
+ */
+
+/**
+ * @typedef {object} ParallelSimulationOptions
+ * @property {number} [workers] How many worker threads share the rolls; by default one for each processor.
+ * @property {number} [seed] Seeds the rolls of the first worker, each further worker using the next seed; by default
+ * the rolls are not seeded.
+ * @property {object} [context] The values of any references in the expression, as given to a roll function.
+ */
+
+/**
+ * @typedef {object} Simulation
+ * @property {number} count The number of rolls simulated.
+ * @property {Map<number, number>} histogram How many rolls gave each total, in ascending order of total.
+ * @property {number} min The lowest total rolled.
+ * @property {number} max The highest total rolled.
+ * @property {number} mean The mean total.
+ * @property {number} stddev The standard deviation of the totals.
+ * @property {function} percentile Given a percentage 0..100, returns the lowest total which is at least as high as
+ * that percentage of rolls.
+ * @property {number} [success] For a comparison, like "1d20+5 vs 1d20+3", the proportion of rolls which the left
+ * side won; the totals are the margins, the total of the left side less that of the right.
+ */
+
+/**
+ * Rolls a syntax tree many times, counting the rolls which give each total. Every roll makes the same rolls, in the
+ * same order, as a roll function for the tree with the same source of random rolls, and fails in the same way, so
+ * that the counts are exactly those of calling the roll function again and again. A repeated expression is rolled
+ * once for each roll, and a comparison gives the margin between its sides.
+ *
+ * @param {Parser} parser The parser whose limits, rounding and tie rule apply, and which checks the tree.
+ * @param {Ast|AstNode} ast The syntax tree, or any node within it.
+ * @param {number} count The number of rolls.
+ * @param {SimulationOptions} [options] Options for the rolls.
+ * @returns {{histogram: Map<number, number>, wins: number}} How many rolls gave each total, in the order they were
+ * first rolled, and how many of them the left side of a comparison won.
+ */
+export const simulateTotals = (parser, ast, count, { rng = parser.rng, context = {} } = {}) => {
+    const { compile, limits, rounding, ties } = parser;
+    // Compiling checks the tree just as rolling it would.
+    compile(ast);
+    const { source, body } = ast.type === 'expression' ? ast : { source: '', body: ast };
+
+    /**
+     * Rolls part of the tree the way a roll function does, for parts with no quicker way to roll. Its unreduced
+     * values are added to the running sum in turn.
+     */
+    const fallback = node => {
+        const { label, ...unlabelled } = node;
+        const roll = compile({ type: 'expression', source, body: unlabelled }, { rng });
+        const add = (acc, sign, value) => Array.isArray(value)
+            ? value.reduce((sum, item) => add(sum, sign, item), acc)
+            : acc + sign * value;
+        return (ctx, acc, sign) => {
+            const result = roll(ctx, false);
+            return add(acc, sign, Array.isArray(result) ? result : result.total);
+        };
+    };
+
+    /**
+     * Compiles part of the tree into a function adding its value, with a sign, to a running sum. A sum adds each of
+     * its terms in turn, and the dice of a pool one by one, so that the totals are exactly those of a roll function.
+     */
+    const sampler = (node, exact) => {
+        switch (node.type) {
+            case 'constant': {
+                const { value } = node;
+                return (ctx, acc, sign) => acc + sign * value;
+            }
+            case 'dice': {
+                if (node.symbols) {
+                    const error = new InvalidChunkError('Simulations of narrative dice are not supported');
+                    throw locate(error, source, node);
+                }
+                const roller = diceReferences(node).length === 0 && createPoolRoller(node, limits);
+                if (!roller) {
+                    return fallback(node);
+                }
+                return (ctx, acc, sign) => {
+                    try {
+                        return roller(rng, acc, sign);
+                    } catch (error) {
+                        throw locate(error, source, node);
+                    }
+                };
+            }
+            case 'negate': {
+                const operand = sampler(node.operand, exact);
+                return (ctx, acc, sign) => operand(ctx, acc, -sign);
+            }
+            case 'call': {
+                const args = node.args.map(arg => sampler(arg, exactArgs(node.name, exact)));
+                const apply = expressionFunctions[node.name];
+                const values = new Array(args.length);
+                return (ctx, acc, sign) => {
+                    for (let i = 0; i < args.length; i++) {
+                        values[i] = args[i](ctx, 0, 1);
+                    }
+                    return acc + sign * apply(...values);
+                };
+            }
+            case 'binary':
+                break;
+            default:
+                return fallback(node);
+        }
+        const left = sampler(node.left, exact);
+        const right = sampler(node.right, exact);
+        switch (node.op) {
+            case '+': return (ctx, acc, sign) => right(ctx, left(ctx, acc, sign), sign);
+            case '-': return (ctx, acc, sign) => right(ctx, left(ctx, acc, sign), -sign);
+            case '*': return (ctx, acc, sign) => acc + sign * (left(ctx, 0, 1) * right(ctx, 0, 1));
+        }
+        const round = exact ? x => x : roundingFunctions[rounding];
+        return (ctx, acc, sign) => {
+            const dividend = left(ctx, 0, 1);
+            const divisor = right(ctx, 0, 1);
+            try {
+                return acc + sign * round(divide(source, dividend, divisor));
+            } catch (error) {
+                // Dividing by zero is located at the divisor.
+                throw locate(error, source, node.right);
+            }
+        };
+    };
+
+    const root = body.type === 'repeat' ? body.body : body;
+    const compare = root.type === 'compare' && {
+        op: root.op,
+        left: sampler(root.left, false),
+        right: sampler(root.right, false),
+    };
+    const sample = compare ? null : sampler(root, false);
+    const histogram = new Map();
+    let wins = 0;
+    for (let i = 0; i < count; i++) {
+        let total;
+        if (compare) {
+            const left = compare.left(context, 0, 1);
+            total = left - compare.right(context, 0, 1);
+            wins += comparisonWinner(compare.op, ties, total) === 'left' ? 1 : 0;
+        } else {
+            total = sample(context, 0, 1);
+        }
+        histogram.set(total, (histogram.get(total) || 0) + 1);
+    }
+    return { histogram, wins };
+};
+
+/**
+ * Summarises how many rolls gave each total.
+ * @ignore
+ */
+const summarise = (histogram, wins, compare) => {
+    const entries = [...histogram].sort(([a], [b]) => a - b);
+    const count = entries.reduce((acc, [, times]) => acc + times, 0);
+    const mean = entries.reduce((acc, [total, times]) => acc + total * times, 0) / count;
+    const variance = entries.reduce((acc, [total, times]) => acc + times * Math.pow(total - mean, 2), 0) / count;
+    const percentile = q => {
+        let acc = 0;
+        const found = entries.find(([, times]) => (acc += times) >= q / 100 * count);
+        return (found || entries[entries.length - 1])[0];
+    };
+    return {
+        count,
+        histogram: new Map(entries),
+        min: entries[0][0],
+        max: entries[entries.length - 1][0],
+        mean,
+        stddev: Math.sqrt(variance),
+        percentile,
+        ...(compare && { success: wins / count }),
+    };
+};
+
+/**
+ * Tests whether a syntax tree is a comparison, perhaps repeated.
+ * @ignore
+ */
+const isComparison = ast => {
+    const body = ast.type === 'expression' ? ast.body : ast;
+    return (body.type === 'repeat' ? body.body : body).type === 'compare';
+};
+
+/**
+ * Finds the first custom modifier in a syntax tree.
+ * @ignore
+ */
+const findCustom = node => {
+    if (node === null || typeof node !== 'object') {
+        return undefined;
+    }
+    if (node.custom) {
+        return node;
+    }
+    for (const child of Object.values(node)) {
+        const found = findCustom(child);
+        if (found) {
+            return found;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Recreates an error posted by a worker, as an error of the same type.
+ * @ignore
+ */
+const revive = ({ code, message, ...details }) => {
+    const type = Object.values(errors).find(type => type.code === code);
+    return type ? new type(message, details) : new Error(message);
+};
+
+/**
+ * Simulates some rolls in a worker thread.
+ * @ignore
+ */
+const runWorker = workerData => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./simulate-worker.js', import.meta.url), { workerData });
+    worker.once('message', ({ error, ...result }) => error ? reject(revive(error)) : resolve(result));
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`Simulation worker stopped with exit code ${code}`)));
+});
+
+/**
+ * Creates a function like {@link simulate} which uses the limits, rounding, tie rule and random source of a parser.
+ * The function has a `parallel` method like that of `simulate`.
+ *
+ * @param {Parser} parser The parser.
+ * @returns {function} A function like {@link simulate}.
+ */
+export const createSimulation = parser => {
+    const { parseAst, limits, rounding, ties } = parser;
+    const treeOf = expr => typeof expr === 'string' ? parseAst(expr) : expr;
+
+    const simulate = (expr, count, options) => {
+        checkCount('count', count);
+        const ast = treeOf(expr);
+        const { histogram, wins } = simulateTotals(parser, ast, count, options);
+        return summarise(histogram, wins, isComparison(ast));
+    };
+
+    simulate.parallel = async (expr, count, { workers = processors(), seed, context = {} } = {}) => {
+        checkCount('count', count);
+        checkCount('number of workers', workers);
+        const ast = treeOf(expr);
+        // The tree is checked before any worker starts, so that errors are thrown just as they would be by simulate.
+        simulateTotals(parser, ast, 0, { context });
+        const custom = findCustom(ast);
+        if (custom) {
+            throw new TypeError(`Custom modifiers can't be simulated in worker threads: ${custom.text}`);
+        }
+        const shares = Array.from({ length: Math.min(workers, count) },
+            (_, i) => Math.floor(count / workers) + (i < count % workers ? 1 : 0));
+        const results = await Promise.all(shares.map((share, i) => runWorker({
+            ast,
+            count: share,
+            seed: seed === undefined ? undefined : seed + i,
+            context,
+            options: { ...limits, rounding, ties },
+        })));
+        const histogram = new Map();
+        results.forEach(result => result.histogram.forEach((times, total) => {
+            histogram.set(total, (histogram.get(total) || 0) + times);
+        }));
+        const wins = results.reduce((acc, result) => acc + result.wins, 0);
+        return summarise(histogram, wins, isComparison(ast));
+    };
+
+    return simulate;
+};
+
+/**
+ * Simulates many rolls of a dice expression, giving how many rolls gave each total with statistics of the totals.
+ * Rolls are made without creating the dice a roll function reports, so are much quicker, but otherwise just as a roll
+ * function for the expression would make them: the same random source gives the same totals, and a roll which fails,
+ * say by exceeding the roll limit, throws the same error. A repeated expression is rolled once for each roll, and a
+ * comparison gives the margins between its sides, with the proportion of rolls which succeed.
+ *
+ * Its `parallel` method takes `ParallelSimulationOptions` instead, and shares the rolls between worker threads. It
+ * returns a promise of the simulation. Custom modifiers can't be simulated this way, since workers don't have them.
+ *
+ * @function
+ * @param {string|Ast|AstNode} expr A full dice expression, or a syntax tree or any node within it.
+ * @param {number} count The number of rolls.
+ * @param {SimulationOptions} [options] Options for the rolls.
+ * @returns {Simulation} The summary of the rolls.
+ * @throws {DiceError} When the expression is invalid, rolls narrative dice, or a roll fails.
+ */
+export const simulate = createSimulation(defaultParser);
+
+export default simulate;
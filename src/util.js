@@ -0,0 +1,15 @@
+/**
+ * @file Small helpers shared by the modules of the package, which aren't part of its interface.
+ */
+
+/**
+ * Helper for reducing values via summation.
+ * @ignore
+ */
+export const sum = (acc, val) => acc + val;
+
+/**
+ * Comparator for ascending sort of numbers.
+ * @ignore
+ */
+export const asc = (a, b) => a - b;